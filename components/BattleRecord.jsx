@@ -0,0 +1,15 @@
+import React from "react";
+
+export function BattleRecordBadge({ record, className = "" }) {
+  if (!record?.battles) return null;
+  return (
+    <span
+      className={`inline-flex items-center gap-1 rounded-full bg-black/60 px-2 py-0.5 text-[10px] font-bold text-white/90 ${className}`}
+      title={`${record.battles} recorded ${record.battles === 1 ? "battle" : "battles"}`}
+    >
+      <span className="text-emerald-300">{record.wins}W</span>
+      <span className="text-white/40">–</span>
+      <span className="text-rose-300">{record.losses}L</span>
+    </span>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+
+export default function Insignia({ label, size = 48, variant = "character" }) {
+  const fallback = label || "Lore";
+  const initials = fallback
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0]?.toUpperCase())
+    .join("") || "LM";
+  const hue = Math.abs([...fallback].reduce((acc, char) => acc + char.charCodeAt(0), 0)) % 360;
+  const topWidth = variant === "site" ? 42 : variant === "faction" ? 36 : 32;
+  const fillOne = `hsl(${hue}, 85%, 64%)`;
+  const fillTwo = `hsl(${(hue + 48) % 360}, 80%, 60%)`;
+  return (
+    <svg width={size} height={size} viewBox="0 0 64 64" className="drop-shadow-[0_3px_12px_rgba(0,0,0,0.55)]">
+      <defs>
+        <linearGradient id={`ins-${hue}`} x1="0" x2="1" y1="0" y2="1">
+          <stop offset="0%" stopColor={fillOne} />
+          <stop offset="100%" stopColor={fillTwo} />
+        </linearGradient>
+      </defs>
+      <path
+        d={`M32 6 C32 6 ${32 - topWidth / 2} 10 ${32 - topWidth / 2} 10 L ${32 + topWidth / 2} 10 C ${32 + topWidth / 2} 10 32 6 32 6 L 56 16 L 56 36 C 56 47 46 57 32 60 C 18 57 8 47 8 36 L 8 16 Z`}
+        fill={`url(#ins-${hue})`}
+        stroke="rgba(255,255,255,.45)"
+        strokeWidth="1.4"
+      />
+      <text
+        x="32"
+        y="39"
+        textAnchor="middle"
+        fontFamily="var(--font-sans, 'Inter', 'Segoe UI', sans-serif)"
+        fontWeight="900"
+        fontSize="20"
+        fill="#fff"
+        style={{ filter: "drop-shadow(0 1px 2px rgba(0,0,0,.6))" }}
+      >
+        {initials}
+      </text>
+    </svg>
+  );
+}
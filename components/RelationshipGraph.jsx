@@ -0,0 +1,225 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { RELATIONSHIP_TYPES } from "../lib/relations";
+import { initialiseLayout, stepLayout } from "../lib/force-layout";
+
+const WIDTH = 800;
+const TICKS = 320;
+
+const LINK_STYLES = {
+  ally: { stroke: "rgba(52,211,153,0.75)", width: 2.2 },
+  family: { stroke: "rgba(251,191,36,0.8)", width: 2.2 },
+  rival: { stroke: "rgba(251,113,133,0.8)", width: 2.2, dash: "6 4" },
+  faction: { stroke: "rgba(129,140,248,0.35)", width: 1.2 },
+  story: { stroke: "rgba(148,163,184,0.3)", width: 1, dash: "2 4" },
+};
+
+function factionHue(label) {
+  const text = label || "Lore";
+  return Math.abs([...text].reduce((acc, char) => acc + char.charCodeAt(0), 0)) % 360;
+}
+
+function initials(name) {
+  return (
+    (name || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map((word) => word[0]?.toUpperCase())
+      .join("") || "LM"
+  );
+}
+
+export default function RelationshipGraph({ graph, focusId = null, onSelect, height = 520, className = "" }) {
+  const svgRef = useRef(null);
+  const positionsRef = useRef([]);
+  const dragRef = useRef(null);
+  const [, setFrame] = useState(0);
+  const [hovered, setHovered] = useState(null);
+  const [reheat, setReheat] = useState(0);
+  const nodes = graph?.nodes || [];
+  const links = graph?.links || [];
+
+  const presentTypes = useMemo(() => Array.from(new Set(links.map((link) => link.type))), [links]);
+
+  useEffect(() => {
+    positionsRef.current = initialiseLayout(nodes, { width: WIDTH, height, seed: focusId || "codex" });
+    const focus = positionsRef.current.find((node) => node.id === focusId);
+    if (focus) {
+      focus.fx = WIDTH / 2;
+      focus.fy = height / 2;
+    }
+    setReheat((value) => value + 1);
+  }, [nodes, height, focusId]);
+
+  useEffect(() => {
+    if (!positionsRef.current.length || typeof window === "undefined") return undefined;
+    let tick = 0;
+    let frameId;
+    const run = () => {
+      const alpha = 1 - tick / TICKS;
+      stepLayout(positionsRef.current, links, { width: WIDTH, height, alpha: Math.max(alpha, 0.02) });
+      tick += 1;
+      setFrame((value) => value + 1);
+      if (tick < TICKS || dragRef.current) frameId = window.requestAnimationFrame(run);
+    };
+    frameId = window.requestAnimationFrame(run);
+    return () => window.cancelAnimationFrame(frameId);
+  }, [links, height, reheat]);
+
+  const toGraphPoint = useCallback(
+    (event) => {
+      const rect = svgRef.current?.getBoundingClientRect();
+      if (!rect) return null;
+      return {
+        x: ((event.clientX - rect.left) / rect.width) * WIDTH,
+        y: ((event.clientY - rect.top) / rect.height) * height,
+      };
+    },
+    [height]
+  );
+
+  const handlePointerDown = (event, node) => {
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    dragRef.current = { id: node.id, moved: false, start: toGraphPoint(event) };
+    setReheat((value) => value + 1);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toGraphPoint(event);
+    const node = positionsRef.current.find((item) => item.id === drag.id);
+    if (!point || !node) return;
+    if (Math.hypot(point.x - drag.start.x, point.y - drag.start.y) > 4) drag.moved = true;
+    node.fx = point.x;
+    node.fy = point.y;
+  };
+
+  const handlePointerUp = (node) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    const positioned = positionsRef.current.find((item) => item.id === node.id);
+    if (positioned && positioned.id !== focusId) {
+      positioned.fx = null;
+      positioned.fy = null;
+    }
+    if (drag && !drag.moved) onSelect?.(node);
+  };
+
+  if (!nodes.length) {
+    return (
+      <div className="flex h-40 items-center justify-center rounded-3xl border border-dashed border-white/15 bg-white/5 text-xs font-semibold text-white/60">
+        No recorded connections yet.
+      </div>
+    );
+  }
+
+  const byId = new Map(positionsRef.current.map((node) => [node.id, node]));
+  const isConnected = (link) => hovered && (link.source === hovered || link.target === hovered);
+
+  return (
+    <div className={className}>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        className="h-auto w-full touch-none select-none rounded-3xl border border-white/10 bg-black/40"
+        onPointerMove={handlePointerMove}
+        role="img"
+        aria-label="Character relationship graph"
+      >
+        {links.map((link) => {
+          const a = byId.get(link.source);
+          const b = byId.get(link.target);
+          if (!a || !b) return null;
+          const style = LINK_STYLES[link.type] || LINK_STYLES.story;
+          const dimmed = hovered && !isConnected(link);
+          return (
+            <line
+              key={`${link.source}-${link.target}-${link.type}`}
+              x1={a.x}
+              y1={a.y}
+              x2={b.x}
+              y2={b.y}
+              stroke={style.stroke}
+              strokeWidth={isConnected(link) ? style.width + 1 : style.width}
+              strokeDasharray={style.dash}
+              opacity={dimmed ? 0.15 : 1}
+            >
+              <title>
+                {RELATIONSHIP_TYPES[link.type]?.label}
+                {link.labels.length ? `: ${link.labels.join(", ")}` : ""}
+              </title>
+            </line>
+          );
+        })}
+        {positionsRef.current.map((node) => {
+          const hue = factionHue(node.faction);
+          const isFocus = node.id === focusId;
+          const radius = isFocus ? 26 : 18;
+          const showLabel = isFocus || hovered === node.id || nodes.length <= 24;
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${node.x}, ${node.y})`}
+              role="button"
+              tabIndex={0}
+              aria-label={`Open ${node.name}`}
+              className="cursor-pointer focus:outline-none"
+              onPointerDown={(event) => handlePointerDown(event, node)}
+              onPointerUp={() => handlePointerUp(node)}
+              onPointerEnter={() => setHovered(node.id)}
+              onPointerLeave={() => setHovered((current) => (current === node.id ? null : current))}
+              onFocus={() => setHovered(node.id)}
+              onBlur={() => setHovered(null)}
+              onKeyDown={(event) => {
+                if (event.key === "Enter" || event.key === " ") {
+                  event.preventDefault();
+                  onSelect?.(node);
+                }
+              }}
+            >
+              <circle
+                r={radius}
+                fill={`hsl(${hue}, 80%, 58%)`}
+                stroke={isFocus ? "#fde68a" : "rgba(255,255,255,0.55)"}
+                strokeWidth={isFocus ? 3 : 1.4}
+              />
+              <text
+                textAnchor="middle"
+                dy="0.35em"
+                fontSize={isFocus ? 14 : 11}
+                fontWeight="900"
+                fill="#fff"
+                style={{ pointerEvents: "none" }}
+              >
+                {initials(node.name)}
+              </text>
+              {showLabel && (
+                <text
+                  textAnchor="middle"
+                  y={radius + 14}
+                  fontSize="11"
+                  fontWeight="700"
+                  fill="rgba(255,255,255,0.85)"
+                  style={{ pointerEvents: "none" }}
+                >
+                  {node.name}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      {!!presentTypes.length && (
+        <div className="mt-3 flex flex-wrap gap-3 text-[11px] font-semibold text-white/70">
+          {presentTypes.map((type) => (
+            <span key={type} className="inline-flex items-center gap-2">
+              <span className="h-0.5 w-5" style={{ background: LINK_STYLES[type]?.stroke }} />
+              {RELATIONSHIP_TYPES[type]?.label || type}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
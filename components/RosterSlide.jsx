@@ -0,0 +1,57 @@
+import React from "react";
+import Insignia from "./Insignia";
+
+export default function RosterSlide({ slide, icon, actions, onOpenCharacter, limit }) {
+  const payload = slide.data;
+  if (!payload?.name) {
+    return (
+      <div className="flex h-full flex-col justify-center gap-3 rounded-[32px] border border-white/10 bg-white/6 p-8 text-white">
+        <div className="text-xs font-bold tracking-[0.35em] text-white/70">{slide.label}</div>
+        <p className="text-sm font-semibold text-white/70">Daily highlight synchronising…</p>
+      </div>
+    );
+  }
+
+  const members = payload.members || payload.residents || payload.wielders || [];
+  const descriptor =
+    slide.key === "faction"
+      ? `Allies sworn to ${payload.name}`
+      : slide.key === "location"
+        ? `Key figures shaping ${payload.name}`
+        : `Masters of ${payload.name}`;
+
+  return (
+    <div className="grid h-full gap-8 rounded-[32px] border border-white/15 bg-black/40 p-8 text-white lg:grid-cols-[2fr_3fr]">
+      <div className="space-y-4">
+        <div className="flex items-center gap-3 text-xs font-bold tracking-[0.35em] text-white/70">
+          {icon}
+          {slide.label}
+        </div>
+        <h2 className="text-2xl font-black leading-tight text-balance sm:text-4xl">{payload.name}</h2>
+        <p className="text-sm font-semibold text-white/75">{descriptor}</p>
+        {actions && <div className="flex flex-wrap gap-2">{actions}</div>}
+      </div>
+      <div className="grid gap-3 sm:grid-cols-2">
+        {members.slice(0, limit).map((member) => (
+          <button
+            key={member.id || member.name}
+            type="button"
+            onClick={() => onOpenCharacter?.(member)}
+            className="flex items-center gap-3 rounded-3xl border border-white/15 bg-white/10 p-3 text-left transition hover:bg-white/20"
+          >
+            <Insignia label={member.name} size={40} variant={slide.key === "faction" ? "faction" : "character"} />
+            <div className="flex flex-col text-xs">
+              <span className="text-sm font-black text-white">{member.name}</span>
+              <span className="text-white/70">{member.alias?.[0] || member.shortDesc?.slice(0, 40) || "Open dossier"}</span>
+            </div>
+          </button>
+        ))}
+        {!members.length && (
+          <div className="flex h-32 items-center justify-center rounded-3xl border border-dashed border-white/15 bg-white/5 text-xs font-semibold text-white/60">
+            Awaiting intel on key figures.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
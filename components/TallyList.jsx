@@ -0,0 +1,22 @@
+import React from "react";
+import Link from "next/link";
+
+export default function TallyList({ items, empty, hrefFor }) {
+  if (!items.length) return <p className="mt-3 text-base text-white/70">{empty}</p>;
+  return (
+    <ul className="mt-3 space-y-2 text-base text-white/80">
+      {items.map((item) => (
+        <li key={item.name} className="flex items-center justify-between gap-3">
+          {hrefFor ? (
+            <Link href={hrefFor(item.name)} className="transition hover:text-white hover:underline">
+              {item.name}
+            </Link>
+          ) : (
+            <span>{item.name}</span>
+          )}
+          <span className="rounded-full bg-white/10 px-2 py-0.5 text-xs font-bold text-white/70">{item.count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
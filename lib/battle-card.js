@@ -0,0 +1,39 @@
+import { fillDailyPowers, findCharacter } from "./characters";
+import { computeBattleTimeline, parseBattleMatchup } from "./battle";
+import { summariseCharacter } from "./relations";
+
+// Everything the /battle result page and its Open Graph image need, from the
+// same deterministic fight so the preview always matches the page. Both
+// combatants are rebuilt with the power levels of `day`, so a link shows the
+// same fight whenever it's opened.
+export function buildBattleCard(characters, { matchup, seed, day }) {
+  const ids = new Set((characters || []).map((char) => char?.id).filter(Boolean));
+  const pair = parseBattleMatchup(matchup, ids);
+  if (!pair || !seed || !day) return null;
+  const left = findCharacter(characters, pair.left);
+  const right = findCharacter(characters, pair.right);
+  if (!left || !right) return null;
+
+  const battle = computeBattleTimeline(fillDailyPowers(left, day), fillDailyPowers(right, day), { seed });
+  return {
+    seed: battle.seed,
+    day: battle.day,
+    rulesVersion: battle.rulesVersion,
+    winner: battle.winner.id,
+    combatants: [
+      {
+        ...summariseCharacter(left),
+        score: battle.finalScoreA,
+        origin: battle.breakdown.origin1.label,
+        finalHealth: battle.finalHealthA,
+      },
+      {
+        ...summariseCharacter(right),
+        score: battle.finalScoreB,
+        origin: battle.breakdown.origin2.label,
+        finalHealth: battle.finalHealthB,
+      },
+    ],
+    timeline: battle.timeline,
+  };
+}
@@ -0,0 +1,205 @@
+import { useEffect, useMemo, useState } from "react";
+import { isDayKey, todayKey } from "./characters";
+import { readJsonFile, resolveDataPath, writeJsonFile } from "./file-store";
+
+export const HISTORY_STORAGE_KEY = "loremaker.battleHistory.v1";
+export const HISTORY_EVENT = "loremaker:battle-recorded";
+export const LOCAL_HISTORY_LIMIT = 200;
+export const SERVER_HISTORY_LIMIT = 2000;
+
+// Browsers keep their own history; posting to /api/battles is opt-in so a
+// static deploy never writes to disk.
+export const historySyncEnabled = () => process.env.NEXT_PUBLIC_LOREMAKER_BATTLE_SYNC === "1";
+
+const participant = (char) => ({ id: char.id, name: char.name });
+
+// Fights are deterministic per seed, line-up and the day the power levels were
+// rolled on, so replaying one yields the same id and is not counted twice.
+const recordId = (mode, day, seed, ids) => `${mode}:${day}:${seed}:${ids.join(",")}`;
+
+export function createDuelRecord(result, left, right) {
+  const participants = [participant(left), participant(right)];
+  const day = result.day || todayKey();
+  return {
+    id: recordId("duel", day, result.seed, participants.map((item) => item.id)),
+    at: new Date().toISOString(),
+    mode: "duel",
+    seed: result.seed,
+    day,
+    rulesVersion: result.rulesVersion || null,
+    participants,
+    winners: [result.winner.id],
+    losers: [result.loser.id],
+    timeline: result.timeline,
+  };
+}
+
+export function createTeamRecord(result) {
+  const participants = result.fighters.map((fighter) => ({ id: fighter.id, name: fighter.name, team: fighter.team }));
+  const winners = new Set(result.winners);
+  const day = result.day || todayKey();
+  return {
+    id: recordId(result.mode, day, result.seed, participants.map((item) => item.id)),
+    at: new Date().toISOString(),
+    mode: result.mode,
+    seed: result.seed,
+    day,
+    rulesVersion: result.rulesVersion || null,
+    participants,
+    winners: result.winners,
+    losers: participants.filter((item) => !winners.has(item.id)).map((item) => item.id),
+    timeline: result.timeline,
+  };
+}
+
+export function validateBattleRecord(record) {
+  if (!record || typeof record !== "object") return "Battle record must be an object";
+  const isText = (value) => typeof value === "string" && value.length > 0 && value.length <= 200;
+  if (!isText(record.id) || !isText(record.mode) || !isText(record.seed)) {
+    return "Battle record needs an id, mode and seed";
+  }
+  if (!isText(record.at) || Number.isNaN(Date.parse(record.at))) return "Battle record needs an ISO timestamp";
+  // Records saved before fights were pinned to a day have none.
+  if (record.day != null && !isDayKey(record.day)) return "Battle record day must be a YYYY-MM-DD date";
+  if (!Array.isArray(record.participants) || record.participants.length < 2 || record.participants.length > 12) {
+    return "Battle record needs between 2 and 12 participants";
+  }
+  if (!record.participants.every((item) => isText(item?.id) && isText(item?.name))) {
+    return "Every participant needs an id and name";
+  }
+  const ids = new Set(record.participants.map((item) => item.id));
+  const known = (list) => Array.isArray(list) && list.every((id) => ids.has(id));
+  if (!known(record.winners) || !record.winners.length || !known(record.losers)) {
+    return "Winners and losers must be participants";
+  }
+  if (!Array.isArray(record.timeline)) return "Battle record needs a timeline";
+  return null;
+}
+
+// Newest first, one entry per id.
+export function mergeHistory(existing, incoming, limit = LOCAL_HISTORY_LIMIT) {
+  const byId = new Map();
+  [...(incoming || []), ...(existing || [])].forEach((record) => {
+    if (record?.id && !byId.has(record.id)) byId.set(record.id, record);
+  });
+  return Array.from(byId.values())
+    .sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0))
+    .slice(0, limit);
+}
+
+export function computeLedger(records) {
+  const ledger = {};
+  const entry = (id) => {
+    if (!ledger[id]) ledger[id] = { wins: 0, losses: 0, battles: 0, lastFought: null };
+    return ledger[id];
+  };
+  (records || []).forEach((record) => {
+    const winners = new Set(record.winners);
+    (record.participants || []).forEach((item) => {
+      const row = entry(item.id);
+      row.battles += 1;
+      if (winners.has(item.id)) row.wins += 1;
+      else row.losses += 1;
+      if (!row.lastFought || record.at > row.lastFought) row.lastFought = record.at;
+    });
+  });
+  return ledger;
+}
+
+export function ledgerFor(ledger, id) {
+  return ledger?.[id] || { wins: 0, losses: 0, battles: 0, lastFought: null };
+}
+
+export function historyFor(records, id) {
+  return (records || []).filter((record) => record.participants?.some((item) => item.id === id));
+}
+
+export function loadLocalHistory() {
+  if (typeof window === "undefined") return [];
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(HISTORY_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.warn("[battle-history] Could not read saved battles", error);
+    return [];
+  }
+}
+
+export function recordBattle(record) {
+  if (typeof window === "undefined") return;
+  const history = mergeHistory(loadLocalHistory(), [record]);
+  try {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (error) {
+    console.warn("[battle-history] Could not save battle", error);
+  }
+  window.dispatchEvent(new CustomEvent(HISTORY_EVENT, { detail: record }));
+  if (historySyncEnabled()) {
+    fetch("/api/battles", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(record),
+    }).catch((error) => console.warn("[battle-history] Could not sync battle", error));
+  }
+}
+
+const historyPath = () => resolveDataPath(process.env.LOREMAKER_BATTLE_FILE, { tmpName: "loremaker-battles.json" });
+
+export async function readBattleHistory() {
+  const saved = await readJsonFile(await historyPath(), []);
+  return Array.isArray(saved) ? saved : [];
+}
+
+// Appends run one at a time so concurrent posts don't overwrite each other.
+let pendingWrite = Promise.resolve();
+
+export function appendBattleRecord(record) {
+  const write = pendingWrite.then(async () => {
+    const history = mergeHistory(await readBattleHistory(), [record], SERVER_HISTORY_LIMIT);
+    await writeJsonFile(await historyPath(), history);
+    return history;
+  });
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
+// Local battles merged with the shared log when sync is on. Stays in step with
+// fights recorded in this tab (custom event) and in other tabs (storage event).
+export function useBattleHistory({ character } = {}) {
+  const [local, setLocal] = useState([]);
+  const [remote, setRemote] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => setLocal(loadLocalHistory());
+    const onStorage = (event) => {
+      if (event.key === HISTORY_STORAGE_KEY) refresh();
+    };
+    refresh();
+    window.addEventListener(HISTORY_EVENT, refresh);
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener(HISTORY_EVENT, refresh);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!historySyncEnabled()) return undefined;
+    let cancelled = false;
+    const url = character ? `/api/battles?character=${encodeURIComponent(character)}` : "/api/battles";
+    fetch(url)
+      .then((response) => (response.ok ? response.json() : { data: [] }))
+      .then((payload) => {
+        if (!cancelled) setRemote(payload.data || []);
+      })
+      .catch((error) => console.warn("[battle-history] Could not load shared battles", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [character]);
+
+  return useMemo(() => {
+    const records = mergeHistory(remote, local, SERVER_HISTORY_LIMIT);
+    return { records, ledger: computeLedger(records) };
+  }, [local, remote]);
+}
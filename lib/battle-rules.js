@@ -0,0 +1,163 @@
+import defaultRules from "../data/battle-rules.json";
+
+const TOP_LEVEL_FIELDS = new Set([
+  "version",
+  "luckBand",
+  "elite",
+  "eras",
+  "origins",
+  "defaultOrigin",
+  "duel",
+  "team",
+  "matchups",
+]);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+function patternError(source) {
+  try {
+    new RegExp(source, "i");
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export function validateBattleRules(rules) {
+  const issues = [];
+  const report = (field, severity, code, message) => issues.push({ field, severity, code, message });
+  const error = (field, code, message) => report(field, "error", code, message);
+
+  const checkNumber = (field, value, { min = 0, max = Infinity, integer = false, exclusiveMin = false } = {}) => {
+    const low = exclusiveMin ? value <= min : value < min;
+    if (!isNumber(value) || low || value > max || (integer && !Number.isInteger(value))) {
+      const range = max === Infinity ? `${exclusiveMin ? "above" : "at least"} ${min}` : `between ${min} and ${max}`;
+      error(field, "INVALID_NUMBER", `Expected ${integer ? "a whole number" : "a number"} ${range}.`);
+    }
+  };
+  const checkPattern = (field, value, { optional = false } = {}) => {
+    if (value == null && optional) return;
+    if (!isText(value)) {
+      error(field, "MISSING_PATTERN", "Expected a non-empty pattern such as \"god|deity\".");
+      return;
+    }
+    const problem = patternError(value);
+    if (problem) error(field, "INVALID_PATTERN", `Pattern does not compile: ${problem}`);
+  };
+
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    error("rules", "INVALID_RULES", "Battle rules must be a JSON object.");
+    return summarise(null, issues);
+  }
+
+  Object.keys(rules)
+    .filter((key) => !TOP_LEVEL_FIELDS.has(key))
+    .forEach((key) => report(key, "warning", "UNKNOWN_FIELD", `"${key}" is not a battle rule and is ignored.`));
+
+  if (!isText(rules.version)) {
+    error("version", "MISSING_VERSION", "Every rule set needs a version so fights can say which rules decided them.");
+  }
+  checkNumber("luckBand", rules.luckBand, { max: 1 });
+  checkPattern("elite.tags", rules.elite?.tags);
+  checkNumber("elite.bonus", rules.elite?.bonus);
+
+  (Array.isArray(rules.eras) ? rules.eras : []).forEach((era, index) => {
+    checkPattern(`eras[${index}].match`, era?.match);
+    checkNumber(`eras[${index}].multiplier`, era?.multiplier, { exclusiveMin: true });
+  });
+  if (!Array.isArray(rules.eras)) error("eras", "INVALID_LIST", "Expected a list of era modifiers.");
+
+  if (!Array.isArray(rules.origins) || !rules.origins.length) {
+    error("origins", "INVALID_LIST", "Expected at least one origin class.");
+  } else {
+    const labels = new Set();
+    rules.origins.forEach((origin, index) => {
+      const field = `origins[${index}]`;
+      if (!isText(origin?.label)) error(`${field}.label`, "MISSING_LABEL", "Origin classes need a label.");
+      else if (labels.has(origin.label)) {
+        report(`${field}.label`, "warning", "DUPLICATE_LABEL", `"${origin.label}" is listed more than once; only the first can match.`);
+      }
+      labels.add(origin?.label);
+      checkNumber(`${field}.multiplier`, origin?.multiplier, { exclusiveMin: true });
+      checkPattern(`${field}.match`, origin?.match);
+      checkPattern(`${field}.era`, origin?.era, { optional: true });
+      if (origin?.minPowerLevel != null) checkNumber(`${field}.minPowerLevel`, origin.minPowerLevel, { max: 10 });
+    });
+  }
+  if (!isText(rules.defaultOrigin?.label)) {
+    error("defaultOrigin.label", "MISSING_LABEL", "The fallback origin class needs a label.");
+  }
+  checkNumber("defaultOrigin.multiplier", rules.defaultOrigin?.multiplier, { exclusiveMin: true });
+
+  checkNumber("duel.swings", rules.duel?.swings, { min: 1, integer: true });
+  checkNumber("duel.shield", rules.duel?.shield, { max: 1 });
+  checkNumber("duel.damage", rules.duel?.damage, { exclusiveMin: true });
+  checkNumber("team.maxRounds", rules.team?.maxRounds, { min: 1, integer: true });
+  checkNumber("team.shield", rules.team?.shield, { max: 1 });
+  checkNumber("team.damage", rules.team?.damage, { exclusiveMin: true });
+  checkNumber("team.synergyPerAlly", rules.team?.synergyPerAlly, { max: 1 });
+  checkNumber("team.synergyCap", rules.team?.synergyCap, { max: 1 });
+  if (isNumber(rules.team?.synergyCap) && rules.team.synergyCap < rules.team?.synergyPerAlly) {
+    report("team.synergyCap", "warning", "CAP_BELOW_STEP", "The synergy cap is lower than a single ally's bonus.");
+  }
+
+  if (!Array.isArray(rules.matchups)) {
+    error("matchups", "INVALID_LIST", "Expected a list of power matchups.");
+  } else {
+    const ids = new Set();
+    rules.matchups.forEach((rule, index) => {
+      const field = `matchups[${index}]`;
+      if (!isText(rule?.id)) error(`${field}.id`, "MISSING_ID", "Matchups need an id.");
+      else if (ids.has(rule.id)) error(`${field}.id`, "DUPLICATE_ID", `Matchup id "${rule.id}" is already used.`);
+      ids.add(rule?.id);
+      if (!isText(rule?.label)) error(`${field}.label`, "MISSING_LABEL", "Matchups need a label for the battle log.");
+      ["attacker", "defender"].forEach((side) => {
+        const keywords = rule?.[side];
+        if (!Array.isArray(keywords) || !keywords.length || !keywords.every(isText)) {
+          error(`${field}.${side}`, "INVALID_KEYWORDS", "Expected a non-empty list of power keywords.");
+        }
+      });
+      checkNumber(`${field}.bonus`, rule?.bonus, { max: 1, exclusiveMin: true });
+      if (isNumber(rule?.bonus) && rule.bonus > 0.5) {
+        report(`${field}.bonus`, "warning", "LARGE_BONUS", `A +${Math.round(rule.bonus * 100)}% swing bonus will decide most fights.`);
+      }
+    });
+  }
+
+  return summarise(rules.version, issues);
+}
+
+function summarise(version, issues) {
+  const errors = issues.filter((issue) => issue.severity === "error").length;
+  return {
+    version: isText(version) ? version : null,
+    valid: errors === 0,
+    summary: { errors, warnings: issues.length - errors },
+    issues,
+  };
+}
+
+// Patterns are stored as strings in JSON and compiled once here.
+export function compileBattleRules(rules) {
+  const report = validateBattleRules(rules);
+  if (!report.valid) {
+    const details = report.issues
+      .filter((issue) => issue.severity === "error")
+      .map((issue) => `${issue.field}: ${issue.message}`)
+      .join("; ");
+    throw new Error(`Invalid battle rules: ${details}`);
+  }
+  return {
+    ...rules,
+    elite: { ...rules.elite, pattern: new RegExp(rules.elite.tags, "i") },
+    eras: rules.eras.map((era) => ({ ...era, pattern: new RegExp(era.match, "i") })),
+    origins: rules.origins.map((origin) => ({
+      ...origin,
+      pattern: new RegExp(origin.match, "i"),
+      eraPattern: origin.era ? new RegExp(origin.era, "i") : null,
+    })),
+  };
+}
+
+export const BATTLE_RULES = compileBattleRules(defaultRules);
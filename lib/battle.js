@@ -0,0 +1,347 @@
+import { isDayKey, normaliseArray, seededRandom, seededShuffle } from "./characters";
+import { BATTLE_RULES } from "./battle-rules";
+import { describeMatchup, findMatchup, pickLeadPower } from "./matchups";
+
+// Every multiplier below comes from data/battle-rules.json; pass another
+// compiled rule set to try a rebalance without touching the default.
+export function scoreCharacter(c, rules = BATTLE_RULES) {
+  const base = (c.powers || []).reduce((s, p) => s + (isFinite(p.level) ? p.level : 0), 0);
+  const elite = (c.tags || []).some((t) => rules.elite.pattern.test(t)) ? rules.elite.bonus : 0;
+  const eraMod = rules.eras.find((era) => era.pattern.test(c.era || ""))?.multiplier || 1;
+  const origin = powerOriginProfile(c, rules);
+  const withBias = (base + elite) * origin.multiplier * eraMod;
+  return Math.round(withBias);
+}
+
+export function powerOriginProfile(c, rules = BATTLE_RULES) {
+  const text = [
+    (c.tags || []).join(" "),
+    (c.alias || []).join(" "),
+    c.longDesc || "",
+    c.shortDesc || "",
+  ].join(" ").toLowerCase();
+  // crude but effective class detection: the first origin whose text, era or
+  // power-level test passes wins, so the rules file lists them strongest first
+  const origin =
+    rules.origins.find(
+      (entry) =>
+        entry.pattern.test(text) ||
+        (entry.eraPattern && entry.eraPattern.test(c.era || "")) ||
+        (entry.minPowerLevel != null && (c.powers || []).some((p) => p.level >= entry.minPowerLevel))
+    ) || rules.defaultOrigin;
+  return { label: origin.label, multiplier: origin.multiplier };
+}
+
+// Seeds are short base-36 strings so they stay readable in a shared URL.
+export function createBattleSeed() {
+  return Math.floor(Math.random() * 36 ** 8)
+    .toString(36)
+    .padStart(8, "0");
+}
+
+function rngLuck(max, rng, band) {
+  const r = (rng() * 2 - 1) * band * max; // ±band, 20% by default
+  return Math.round(r);
+}
+
+// The same seed and combatants always produce the same fight. Power levels
+// rotate daily, so replays rebuild the combatants for the fight's `powersDay`
+// (see fillDailyPowers) before calling this.
+export function duel(c1, c2, seed, { rules = BATTLE_RULES, matchups = rules.matchups } = {}) {
+  const rng = seededRandom(`duel|${seed}`);
+  const s1 = scoreCharacter(c1, rules);
+  const s2 = scoreCharacter(c2, rules);
+  const origin1 = powerOriginProfile(c1, rules);
+  const origin2 = powerOriginProfile(c2, rules);
+  const maxBase = Math.max(s1, s2) || 1;
+  const { swings } = rules.duel;
+  let h1 = 100;
+  let h2 = 100;
+  const logs = [];
+  for (let i = 0; i < swings; i += 1) {
+    const luck1 = rngLuck(maxBase, rng, rules.luckBand);
+    const luck2 = rngLuck(maxBase, rng, rules.luckBand);
+    const power1 = pickLeadPower(c1, rng);
+    const power2 = pickLeadPower(c2, rng);
+    const advantage1 = findMatchup(power1, power2, matchups);
+    const advantage2 = findMatchup(power2, power1, matchups);
+    const offensive1 = (s1 + luck1) * (1 + (advantage1?.bonus || 0));
+    const offensive2 = (s2 + luck2) * (1 + (advantage2?.bonus || 0));
+    const shield1 = s1 * rules.duel.shield;
+    const shield2 = s2 * rules.duel.shield;
+    const delta1 = Math.max(0, offensive1 - shield2);
+    const delta2 = Math.max(0, offensive2 - shield1);
+    const combined = Math.max(1, delta1 + delta2);
+    const dmg1 = Math.round((delta1 / combined) * rules.duel.damage);
+    const dmg2 = Math.round((delta2 / combined) * rules.duel.damage);
+    h2 = Math.max(0, h2 - dmg1);
+    h1 = Math.max(0, h1 - dmg2);
+    logs.push({
+      swing: i + 1,
+      luck1,
+      luck2,
+      power1: power1?.name || null,
+      power2: power2?.name || null,
+      advantage1,
+      advantage2,
+      offensive1,
+      offensive2,
+      dmg1,
+      dmg2,
+      h1,
+      h2,
+    });
+  }
+  let winner;
+  if (h1 === h2) {
+    winner = s1 === s2 ? (rng() > 0.5 ? c1 : c2) : s1 > s2 ? c1 : c2;
+  } else {
+    winner = h1 > h2 ? c1 : c2;
+  }
+  const loser = winner === c1 ? c2 : c1;
+  return {
+    winner,
+    loser,
+    h1,
+    h2,
+    logs,
+    rulesVersion: rules.version,
+    breakdown: {
+      s1,
+      s2,
+      origin1,
+      origin2,
+    },
+  };
+}
+
+export function computeBattleTimeline(charA, charB, { seed = createBattleSeed(), rules, matchups } = {}) {
+  const summary = duel(charA, charB, seed, { rules, matchups });
+  const timeline = summary.logs.map((phase) => ({
+    round: phase.swing,
+    strikeA: Math.round(phase.offensive1),
+    strikeB: Math.round(phase.offensive2),
+    luckA: phase.luck1,
+    luckB: phase.luck2,
+    powerA: phase.power1,
+    powerB: phase.power2,
+    advantageA: phase.advantage1,
+    advantageB: phase.advantage2,
+    notes: [
+      describeMatchup(phase.advantage1, charA.name, charB.name),
+      describeMatchup(phase.advantage2, charB.name, charA.name),
+    ].filter(Boolean),
+    damageToB: phase.dmg1,
+    damageToA: phase.dmg2,
+    healthA: phase.h1,
+    healthB: phase.h2,
+  }));
+
+  return {
+    seed,
+    day: charA.powersDay || null,
+    rulesVersion: summary.rulesVersion,
+    timeline,
+    winner: summary.winner,
+    loser: summary.loser,
+    finalScoreA: summary.breakdown.s1,
+    finalScoreB: summary.breakdown.s2,
+    finalHealthA: summary.h1,
+    finalHealthB: summary.h2,
+    breakdown: summary.breakdown,
+  };
+}
+
+// `day` is the date the power levels were rolled for; links without one replay
+// with whatever levels the viewer has today.
+export function battleQueryString({ left, right, seed, day }) {
+  const query = `battle=${encodeURIComponent(left)},${encodeURIComponent(right)}&seed=${encodeURIComponent(seed)}`;
+  return day ? `${query}&day=${encodeURIComponent(day)}` : query;
+}
+
+export function parseBattleQuery(query) {
+  const battle = Array.isArray(query?.battle) ? query.battle[0] : query?.battle;
+  const seed = Array.isArray(query?.seed) ? query.seed[0] : query?.seed;
+  const day = Array.isArray(query?.day) ? query.day[0] : query?.day;
+  if (!battle || !seed) return null;
+  const [left, right] = String(battle).split(",").map((id) => id.trim());
+  if (!left || !right || left === right) return null;
+  return { left, right, seed: String(seed), day: isDayKey(day) ? day : null };
+}
+
+// Shareable result cards live at /battle/<a>-vs-<b>?seed=…&day=YYYY-MM-DD
+export function battlePath({ left, right, seed, day }) {
+  const path = `/battle/${encodeURIComponent(left)}-vs-${encodeURIComponent(right)}`;
+  if (!seed) return path;
+  return `${path}?seed=${encodeURIComponent(seed)}${day ? `&day=${encodeURIComponent(day)}` : ""}`;
+}
+
+// Ids may themselves contain "-vs-", so every split point is tried against the
+// roster and the first one naming two known characters wins.
+export function parseBattleMatchup(matchup, knownIds) {
+  const text = String(matchup || "");
+  for (let index = text.indexOf("-vs-"); index > 0; index = text.indexOf("-vs-", index + 1)) {
+    const left = text.slice(0, index);
+    const right = text.slice(index + 4);
+    if (left !== right && knownIds.has(left) && knownIds.has(right)) return { left, right };
+  }
+  return null;
+}
+
+export const ARENA_MODES = {
+  duel: { label: "1v1 Duel", teamSize: 1, teams: 2 },
+  "2v2": { label: "2v2", teamSize: 2, teams: 2 },
+  "3v3": { label: "3v3", teamSize: 3, teams: 2 },
+  royale: { label: "Free-for-all", teamSize: 1, teams: 6 },
+};
+
+export const ARENA_MODE_ORDER = ["duel", "2v2", "3v3", "royale"];
+
+export function arenaCapacity(mode) {
+  const config = ARENA_MODES[mode] || ARENA_MODES.duel;
+  return config.teamSize * config.teams;
+}
+
+// Squads fill team by team: the first `teamSize` picks form team 1, and so on.
+// Free-for-all puts every combatant on a team of their own.
+export function assembleTeams(squad, mode) {
+  const config = ARENA_MODES[mode] || ARENA_MODES.duel;
+  const teams = [];
+  squad.slice(0, arenaCapacity(mode)).forEach((member, index) => {
+    const teamIndex = Math.floor(index / config.teamSize);
+    teams[teamIndex] = [...(teams[teamIndex] || []), member];
+  });
+  return teams.filter(Boolean);
+}
+
+// Each teammate who shares a faction adds to a member's power, up to the
+// cap set in the team rules.
+export function teamSynergy(member, team, rules = BATTLE_RULES) {
+  const factions = new Set(normaliseArray(member.faction).map((name) => name.toLowerCase()));
+  if (!factions.size) return { bonus: 0, allies: [] };
+  const allies = team.filter(
+    (other) =>
+      other.id !== member.id &&
+      normaliseArray(other.faction).some((name) => factions.has(name.toLowerCase()))
+  );
+  return {
+    bonus: Math.min(rules.team.synergyCap, allies.length * rules.team.synergyPerAlly),
+    allies: allies.map((ally) => ally.id),
+  };
+}
+
+export function computeTeamBattle(
+  teams,
+  { seed = createBattleSeed(), mode = "2v2", rules = BATTLE_RULES, matchups = rules.matchups } = {}
+) {
+  const rng = seededRandom(`team|${seed}`);
+  const fighters = teams.flatMap((team, teamIndex) =>
+    team.map((char) => {
+      const base = scoreCharacter(char, rules);
+      const synergy = teams.length > 1 && team.length > 1 ? teamSynergy(char, team, rules) : { bonus: 0, allies: [] };
+      return {
+        id: char.id,
+        name: char.name,
+        team: teamIndex,
+        powers: char.powers || [],
+        base,
+        score: Math.round(base * (1 + synergy.bonus)),
+        synergy,
+        origin: powerOriginProfile(char, rules),
+        health: 100,
+        eliminatedIn: null,
+      };
+    })
+  );
+  const maxBase = Math.max(1, ...fighters.map((fighter) => fighter.score));
+  const aliveTeams = () => new Set(fighters.filter((fighter) => fighter.health > 0).map((fighter) => fighter.team));
+  const timeline = [];
+
+  for (let round = 1; round <= rules.team.maxRounds && aliveTeams().size > 1; round += 1) {
+    const attacks = [];
+    const order = seededShuffle(fighters.filter((fighter) => fighter.health > 0), rng);
+    order.forEach((attacker) => {
+      if (attacker.health <= 0) return;
+      const targets = fighters.filter((fighter) => fighter.health > 0 && fighter.team !== attacker.team);
+      if (!targets.length) return;
+      const target = targets[Math.floor(rng() * targets.length)];
+      const luck = rngLuck(maxBase, rng, rules.luckBand);
+      const advantage = findMatchup(pickLeadPower(attacker, rng), pickLeadPower(target, rng), matchups);
+      const strike = (attacker.score + luck) * (1 + (advantage?.bonus || 0));
+      const shield = target.score * rules.team.shield;
+      const delta = Math.max(0, strike - shield);
+      const damage = Math.round((delta / Math.max(1, delta + shield)) * rules.team.damage);
+      target.health = Math.max(0, target.health - damage);
+      attacks.push({
+        attacker: attacker.id,
+        target: target.id,
+        strike: Math.round(strike),
+        luck,
+        damage,
+        advantage,
+        note: describeMatchup(advantage, attacker.name, target.name),
+      });
+    });
+    const eliminated = fighters.filter((fighter) => fighter.health === 0 && fighter.eliminatedIn == null);
+    eliminated.forEach((fighter) => {
+      fighter.eliminatedIn = round;
+    });
+    timeline.push({
+      round,
+      attacks,
+      eliminated: eliminated.map((fighter) => fighter.id),
+      health: Object.fromEntries(fighters.map((fighter) => [fighter.id, fighter.health])),
+    });
+  }
+
+  // If the clock runs out, the team with the most health left takes it.
+  const teamHealth = teams.map((_, teamIndex) =>
+    fighters.filter((fighter) => fighter.team === teamIndex).reduce((sum, fighter) => sum + fighter.health, 0)
+  );
+  const winnerTeam = teamHealth.reduce(
+    (best, health, teamIndex) => (health > teamHealth[best] ? teamIndex : best),
+    0
+  );
+  const standings = [...fighters].sort(
+    (a, b) =>
+      (b.eliminatedIn ?? Infinity) - (a.eliminatedIn ?? Infinity) || b.health - a.health || b.score - a.score
+  );
+
+  return {
+    seed,
+    day: teams.flat()[0]?.powersDay || null,
+    mode,
+    rulesVersion: rules.version,
+    timeline,
+    fighters,
+    teams: teams.map((team, teamIndex) => ({
+      index: teamIndex,
+      members: team.map((char) => char.id),
+      health: teamHealth[teamIndex],
+    })),
+    winnerTeam,
+    winners: fighters.filter((fighter) => fighter.team === winnerTeam).map((fighter) => fighter.id),
+    standings: standings.map((fighter) => fighter.id),
+  };
+}
+
+export function teamBattleQueryString({ mode, squad, seed }) {
+  return `arena=${encodeURIComponent(mode)}&squad=${squad.map(encodeURIComponent).join(",")}&seed=${encodeURIComponent(seed)}`;
+}
+
+export function parseTeamBattleQuery(query) {
+  const read = (key) => (Array.isArray(query?.[key]) ? query[key][0] : query?.[key]);
+  const mode = read("arena");
+  const squad = String(read("squad") || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  const seed = read("seed");
+  if (!ARENA_MODES[mode] || mode === "duel" || !seed || squad.length < 2) return null;
+  return { mode, squad: Array.from(new Set(squad)).slice(0, arenaCapacity(mode)), seed: String(seed) };
+}
+
+export function isSquadReady(mode, count) {
+  if (mode === "royale") return count >= 3;
+  return count === arenaCapacity(mode);
+}
@@ -1,3 +1,6 @@
+import { readJsonFile, resolveDataPath, writeJsonFile } from "./file-store";
+import { MISSING_SHEET_ID_CODE, MISSING_SOURCE_CONFIG_CODE, resolveSourceAdapter } from "./sources";
+
 const COL_ALIAS = {
   id: ["id", "char_id", "character id", "code"],
   name: ["character", "character name", "name"],
@@ -15,6 +18,9 @@ const COL_ALIAS = {
   longDesc: ["long description", "longdesc", "bio"],
   stories: ["stories", "story", "appears in"],
   cover: ["cover image", "cover", "cover url"],
+  allies: ["allies", "ally", "friends"],
+  rivals: ["rivals", "rival", "enemies", "nemesis"],
+  family: ["family", "relatives", "kin"],
 };
 
 const GALLERY_ALIASES = Array.from({ length: 15 }, (_, i) => i + 1).map((n) => [
@@ -25,15 +31,15 @@ const GALLERY_ALIASES = Array.from({ length: 15 }, (_, i) => i + 1).map((n) => [
 ]);
 
 const CACHE_TTL = Number(process.env.LOREMAKER_SHEETS_CACHE_TTL || 600000);
-const FALLBACK_SHEET_NAMES = ["Sheet1", "Characters"];
-const DEFAULT_SHEET_ID = "1nbAsU-zNe4HbM0bBLlYofi1pHhneEjEIWfW22JODBeM";
-const CONFIG_ERROR_CODE = "MISSING_SHEET_ID";
+const CONFIG_ERROR_CODES = new Set([MISSING_SHEET_ID_CODE, MISSING_SOURCE_CONFIG_CODE]);
 const PUBLIC_AVAILABILITY_MESSAGE = "Character data is temporarily unavailable. Please try again soon.";
 
-let cache = { data: null, timestamp: 0 };
+let cache = { data: null, timestamp: 0, origin: null };
+let pendingRefresh = null;
+let restoredFromDisk = false;
 const sourceOrder = new Map();
 
-const toSlug = (s) => (s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)+/g, "");
+export const toSlug = (s) => (s || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)+/g, "");
 
 export function normalizeDriveUrl(url) {
   if (!url || typeof url !== "string") return undefined;
@@ -112,29 +118,23 @@ export function parseLocations(raw) {
   return Array.from(set);
 }
 
+function readPowerItem(item) {
+  const colon = item.match(/^(.*?)[=:]\s*(\d{1,2})(?:\s*\/\s*10)?$/);
+  if (colon) return { name: colon[1].trim(), level: parseInt(colon[2], 10) };
+  if (/\((\d{1,2})\)/.test(item)) {
+    const m = item.match(/^(.*?)\((\d{1,2})\)$/);
+    return { name: (m?.[1] || item).trim(), level: parseInt(m?.[2] || "0", 10) };
+  }
+  const trail = item.match(/^(.*?)(\d{1,2})$/);
+  if (trail) return { name: trail[1].trim(), level: parseInt(trail[2], 10) };
+  return { name: item.trim(), level: null };
+}
+
 export function parsePowers(raw) {
   if (!raw) return [];
   const items = splitList(raw);
   return items.map((item) => {
-    let name = item;
-    let level = 0;
-    const colon = item.match(/^(.*?)[=:]\s*(\d{1,2})(?:\s*\/\s*10)?$/);
-    if (colon) {
-      name = colon[1].trim();
-      level = parseInt(colon[2], 10);
-    } else if (/\((\d{1,2})\)/.test(item)) {
-      const m = item.match(/^(.*?)\((\d{1,2})\)$/);
-      name = (m?.[1] || item).trim();
-      level = parseInt(m?.[2] || "0", 10);
-    } else {
-      const trail = item.match(/^(.*?)(\d{1,2})$/);
-      if (trail) {
-        name = trail[1].trim();
-        level = parseInt(trail[2], 10);
-      } else {
-        name = item.trim();
-      }
-    }
+    const { name, level } = readPowerItem(item);
     return { name, level: Number.isFinite(level) ? Math.min(10, Math.max(0, level)) : 0 };
   });
 }
@@ -160,21 +160,18 @@ function headerMap(headers) {
   return map;
 }
 
-function parseGViz(text) {
-  const match = text.match(/google\.visualization\.Query\.setResponse\((.*)\);?$/s);
-  if (!match) throw new Error("GViz format not recognised");
-  return JSON.parse(match[1]);
+function readCell(cell) {
+  if (!cell) return undefined;
+  const value = cell.v ?? cell.f ?? cell;
+  const stringValue = typeof value === "string" ? value : String(value ?? "");
+  return stringValue.trim();
 }
 
 function rowToCharacter(row, map) {
   const read = (key) => {
     const idx = map[key];
     if (idx == null) return undefined;
-    const cell = row[idx];
-    if (!cell) return undefined;
-    const value = cell.v ?? cell.f ?? cell;
-    const stringValue = typeof value === "string" ? value : String(value ?? "");
-    return stringValue.trim();
+    return readCell(row[idx]);
   };
   const name = (read("name") || "").trim();
   if (!name) return null;
@@ -194,6 +191,9 @@ function rowToCharacter(row, map) {
     shortDesc: read("shortDesc"),
     longDesc: read("longDesc"),
     stories: splitList(read("stories")),
+    allies: splitList(read("allies")),
+    rivals: splitList(read("rivals")),
+    family: splitList(read("family")),
     cover: normalizeDriveUrl(read("cover")),
     gallery: [],
   };
@@ -213,6 +213,7 @@ function rowToCharacter(row, map) {
 }
 
 export const todayKey = () => new Date().toISOString().slice(0, 10);
+export const isDayKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ""));
 
 export function seededRandom(seed) {
   let h = 2166136261;
@@ -228,22 +229,36 @@ export function seededRandom(seed) {
   };
 }
 
-const dailyInt = (seed, min = 1, max = 10) => {
-  const rand = seededRandom(`${seed}|${todayKey()}`)();
+// Fisher–Yates driven by a seeded rng: unlike sorting with a random comparator
+// it's unbiased and gives the same order in every JavaScript engine.
+export function seededShuffle(items, rng) {
+  const arr = [...items];
+  for (let i = arr.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+const dailyInt = (seed, day, min = 1, max = 10) => {
+  const rand = seededRandom(`${seed}|${day}`)();
   return Math.floor(rand * (max - min + 1)) + min;
 };
 
-export function fillDailyPowers(c) {
+// Sheet levels are a baseline that each day nudges by up to two. The baseline
+// and the day are kept on the character, so calling this again with an earlier
+// day rebuilds the levels a past fight was fought with.
+export function fillDailyPowers(c, day = todayKey()) {
   const seed = c.id || c.name || "character";
   const powers = (c.powers || []).map((p, idx) => {
     const label = p.name || `Power ${idx + 1}`;
-    const base = Math.max(0, Math.min(10, Number(p.level) || 0));
+    const base = Math.max(0, Math.min(10, Number(p.baseLevel ?? p.level) || 0));
     const min = base ? Math.max(3, base - 2) : 3;
     const max = base ? Math.min(10, base + 2) : 9;
-    const level = dailyInt(`${seed}|${label}`, min, max);
-    return { ...p, level };
+    const level = dailyInt(`${seed}|${label}`, day, min, max);
+    return { ...p, baseLevel: base, level };
   });
-  return { ...c, powers };
+  return { ...c, powers, powersDay: day };
 }
 
 export function normaliseArray(value) {
@@ -258,6 +273,33 @@ export function normaliseArray(value) {
 
 const uniqueSorted = (values) => Array.from(new Set(values.filter(Boolean))).sort((a, b) => a.localeCompare(b));
 
+// Buckets characters under each value `read` returns, keyed by slug so
+// "Sol Dominion" and "sol dominion" land on the same page.
+export function groupCharactersBy(characters, read) {
+  const groups = new Map();
+  (characters || []).forEach((char) => {
+    if (!char) return;
+    normaliseArray(read(char)).forEach((name) => {
+      const slug = toSlug(String(name));
+      if (!slug) return;
+      const group = groups.get(slug) || { slug, name, members: [] };
+      if (!group.members.includes(char)) group.members.push(char);
+      groups.set(slug, group);
+    });
+  });
+  return Array.from(groups.values()).sort(
+    (a, b) => b.members.length - a.members.length || a.name.localeCompare(b.name)
+  );
+}
+
+export function tallyValues(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts.entries())
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
 export function computeFeatured(characters) {
   if (!characters || !characters.length) {
     return { character: null, faction: null, location: null, power: null };
@@ -296,81 +338,306 @@ export function computeFeatured(characters) {
   };
 }
 
-function parseCharactersResponse(response) {
-  sourceOrder.clear();
-  const rows = response.table.rows || [];
-  const labels = response.table.cols.map((col) => (col?.label || col?.id || "").trim());
+function resolveTableLayout({ headers = [], rows = [] } = {}) {
+  const labels = headers.map((header) => readCell(header) || "");
   let map = headerMap(labels);
-  let usableRows = rows;
   if (map.name == null && rows.length) {
-    const guess = (rows[0]?.c || []).map((cell) => String(cell?.v ?? cell?.f ?? "").trim());
+    const guess = (rows[0] || []).map((cell) => readCell(cell) || "");
     const alt = headerMap(guess);
     if (alt.name != null) {
-      map = alt;
-      usableRows = rows.slice(1);
+      return { labels: guess, map: alt, rows: rows.slice(1) };
     }
   }
+  return { labels, map, rows };
+}
+
+// Header row is sheet row 1, so the first data row is row 2.
+const sheetRowNumber = (index) => index + 2;
+
+function parseRows(map, rows, order) {
+  order.clear();
   const parsed = [];
-  usableRows.forEach((row, index) => {
-    const char = rowToCharacter(row.c || [], map);
+  rows.forEach((row, index) => {
+    const char = rowToCharacter(row || [], map);
     if (char) {
       parsed.push(fillDailyPowers(char));
-      if (!sourceOrder.has(char.id)) sourceOrder.set(char.id, index);
+      if (!order.has(char.id)) order.set(char.id, index);
     }
   });
   return parsed;
 }
 
-function gvizUrl(sheetId, sheetName) {
-  return `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}`;
+export function parseCharacterTable(table) {
+  const { map, rows } = resolveTableLayout(table);
+  return parseRows(map, rows, sourceOrder);
 }
 
-export async function fetchCharactersFromSheets({ force = false } = {}) {
-  if (!force && cache.data && Date.now() - cache.timestamp < CACHE_TTL) {
-    return cache.data;
+const KNOWN_HEADERS = new Set([...Object.values(COL_ALIAS), ...GALLERY_ALIASES].flat());
+const RECOMMENDED_FIELDS = ["powers", "faction", "shortDesc", "cover"];
+
+export function validateCharacterTable(table) {
+  const { labels, map, rows } = resolveTableLayout(table);
+  const issues = [];
+  const report = (row, char, issue) =>
+    issues.push({ row, id: char?.id || null, name: char?.name || null, ...issue });
+
+  const fieldByIndex = new Map(Object.entries(map).map(([field, idx]) => [idx, field]));
+  const recognised = [];
+  const unrecognised = [];
+  labels.forEach((label, idx) => {
+    if (!label) return;
+    if (fieldByIndex.has(idx)) recognised.push({ header: label, field: fieldByIndex.get(idx) });
+    else if (!KNOWN_HEADERS.has(label.toLowerCase().trim())) unrecognised.push(label);
+  });
+  unrecognised.forEach((header) =>
+    report(1, null, {
+      field: header,
+      severity: "warning",
+      code: "UNRECOGNISED_HEADER",
+      message: `Column "${header}" does not match any known field and is ignored.`,
+    })
+  );
+  if (map.name == null) {
+    report(1, null, {
+      field: "name",
+      severity: "error",
+      code: "MISSING_NAME_COLUMN",
+      message: `No character name column found. Expected one of: ${COL_ALIAS.name.join(", ")}.`,
+    });
+  }
+
+  const order = new Map();
+  parseRows(map, rows, order);
+
+  rows.forEach((cells, index) => {
+    const rowNumber = sheetRowNumber(index);
+    const row = cells || [];
+    const read = (key) => (map[key] == null ? undefined : readCell(row[map[key]]));
+    const char = rowToCharacter(row, map);
+    if (!char) {
+      if (row.some((cell) => readCell(cell))) {
+        report(rowNumber, null, {
+          field: "name",
+          severity: "error",
+          code: "MISSING_NAME",
+          message: "Row has no character name and is skipped.",
+        });
+      }
+      return;
+    }
+
+    const firstIndex = order.get(char.id);
+    if (firstIndex != null && firstIndex !== index) {
+      report(rowNumber, char, {
+        field: "id",
+        severity: "error",
+        code: "DUPLICATE_ID",
+        message: `Id "${char.id}" is already used on row ${sheetRowNumber(firstIndex)}; this row cannot be opened in the codex.`,
+      });
+    }
+
+    splitList(read("powers")).forEach((item) => {
+      const { name, level } = readPowerItem(item);
+      if (level == null) {
+        report(rowNumber, char, {
+          field: "powers",
+          severity: "warning",
+          code: "POWER_LEVEL_MISSING",
+          message: `Power "${name}" has no level and defaults to 0.`,
+        });
+      } else if (level > 10) {
+        report(rowNumber, char, {
+          field: "powers",
+          severity: "warning",
+          code: "POWER_LEVEL_CLAMPED",
+          message: `Power "${name}" is rated ${level}; levels are clamped to 10.`,
+        });
+      }
+    });
+
+    const imageFields = ["cover", ...GALLERY_ALIASES.map((_, i) => `gallery_${i + 1}`)];
+    imageFields.forEach((field) => {
+      const value = read(field);
+      if (value && !normalizeDriveUrl(value)) {
+        report(rowNumber, char, {
+          field,
+          severity: "warning",
+          code: "INVALID_IMAGE_URL",
+          message: `"${value}" is not a usable image link.`,
+        });
+      }
+    });
+
+    // A filled-in cell that didn't parse (a broken cover link) is reported above.
+    RECOMMENDED_FIELDS.forEach((field) => {
+      const value = char[field];
+      if (imageFields.includes(field) && read(field)) return;
+      if (value == null || (Array.isArray(value) && !value.length)) {
+        report(rowNumber, char, {
+          field,
+          severity: "warning",
+          code: "MISSING_FIELD",
+          message: `No ${field} provided.`,
+        });
+      }
+    });
+  });
+
+  issues.sort((a, b) => a.row - b.row);
+  return {
+    rowCount: rows.length,
+    characterCount: order.size,
+    headers: { recognised, unrecognised },
+    issues,
+    summary: {
+      errors: issues.filter((issue) => issue.severity === "error").length,
+      warnings: issues.filter((issue) => issue.severity === "warning").length,
+    },
+  };
+}
+
+async function loadSourceTable({ parse } = {}) {
+  let adapter;
+  try {
+    adapter = resolveSourceAdapter();
+    return { adapter, table: await adapter.load({ parse }) };
+  } catch (cause) {
+    throw sourceError(cause, adapter);
   }
-  const sheetId =
-    process.env.LOREMAKER_SHEET_ID || process.env.NEXT_PUBLIC_LOREMAKER_SHEET_ID || DEFAULT_SHEET_ID;
-  if (!sheetId) {
-    const error = new Error("Google Sheets configuration missing");
-    error.code = CONFIG_ERROR_CODE;
-    error.publicMessage = PUBLIC_AVAILABILITY_MESSAGE;
-    throw error;
+}
+
+function sourceError(cause, adapter) {
+  if (isCharactersConfigError(cause)) {
+    cause.publicMessage = PUBLIC_AVAILABILITY_MESSAGE;
+    return cause;
   }
-  if (!process.env.LOREMAKER_SHEET_ID && process.env.NEXT_PUBLIC_LOREMAKER_SHEET_ID) {
-    console.warn(
-      "[characters] Using NEXT_PUBLIC_LOREMAKER_SHEET_ID; please migrate to a server-side LOREMAKER_SHEET_ID environment variable."
-    );
+  const error = new Error(`Unable to load characters from ${adapter?.label || "the configured source"}`);
+  error.cause = cause;
+  error.publicMessage = PUBLIC_AVAILABILITY_MESSAGE;
+  return error;
+}
+
+// The raw source table is persisted rather than parsed characters, so daily power
+// seeding and sourceOrder are rebuilt from scratch whenever the file is restored.
+async function persistedCachePath() {
+  return resolveDataPath(process.env.LOREMAKER_CACHE_FILE, { tmpName: "loremaker-characters.json" });
+}
+
+async function persistTable(table, timestamp) {
+  try {
+    await writeJsonFile(await persistedCachePath(), { table, timestamp });
+  } catch (error) {
+    console.warn("[characters] Could not persist character cache", error);
   }
-  const configuredSheet = process.env.LOREMAKER_SHEET_TAB;
-  const sheetNames = Array.from(
-    new Set([
-      configuredSheet && configuredSheet.trim(),
-      "Characters",
-      ...FALLBACK_SHEET_NAMES,
-      undefined,
-    ].filter((name) => name !== ""))
-  );
+}
 
-  let lastError;
-  for (const name of sheetNames) {
-    try {
-      const url = name ? gvizUrl(sheetId, name) : `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`Google Sheets request failed (${res.status})`);
-      const payload = parseGViz(await res.text());
-      const data = parseCharactersResponse(payload);
-      cache = { data, timestamp: Date.now() };
+async function restorePersistedTable() {
+  if (restoredFromDisk || cache.data) return;
+  restoredFromDisk = true;
+  const saved = await readJsonFile(await persistedCachePath());
+  if (!saved?.table) return;
+  try {
+    const data = parseCharacterTable(saved.table);
+    if (data.length) cache = { data, timestamp: Number(saved.timestamp) || 0, origin: "disk" };
+  } catch (error) {
+    console.warn("[characters] Ignoring unreadable persisted cache", error);
+  }
+}
+
+function refreshCharacters() {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      // Parsing during the load lets GViz move on to its next tab when one doesn't parse.
+      let data = null;
+      const { adapter, table } = await loadSourceTable({
+        parse: (candidate) => {
+          data = parseCharacterTable(candidate);
+        },
+      });
+      if (!data) {
+        try {
+          data = parseCharacterTable(table);
+        } catch (cause) {
+          throw sourceError(cause, adapter);
+        }
+      }
+      cache = { data, timestamp: Date.now(), origin: "source" };
+      await persistTable(table, cache.timestamp);
       return data;
-    } catch (error) {
-      lastError = error;
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+}
+
+function isFresh() {
+  return cache.origin !== "fallback" && Date.now() - cache.timestamp < CACHE_TTL;
+}
+
+export async function fetchCharactersFromSheets({ force = false } = {}) {
+  await restorePersistedTable();
+  if (!force && cache.data) {
+    if (!isFresh()) {
+      refreshCharacters().catch((error) => console.warn("[characters] Background refresh failed", error));
+    }
+    return cache.data;
+  }
+  try {
+    return await refreshCharacters();
+  } catch (error) {
+    if (isCharactersConfigError(error)) throw error;
+    if (cache.data) {
+      console.warn("[characters] Serving stale characters after a failed refresh", error);
+      return cache.data;
     }
+    console.warn("[characters] Serving bundled fallback characters", error);
+    // Loaded on demand so the sample roster stays out of the client bundle. The
+    // module isn't destructured: webpack tree-shakes destructured JSON imports
+    // and can ship an empty array.
+    const fallbackModule = await import("../data/fallback-characters.json");
+    cache = { data: fallbackModule.default.map((char) => fillDailyPowers(char)), timestamp: Date.now(), origin: "fallback" };
+    return cache.data;
   }
+}
 
-  const error = new Error("Unable to load characters from Google Sheets");
-  error.cause = lastError;
-  error.publicMessage = PUBLIC_AVAILABILITY_MESSAGE;
-  throw error;
+export function getCharacterCacheStatus() {
+  const age = cache.data ? Date.now() - cache.timestamp : null;
+  let state = "empty";
+  if (cache.origin === "fallback") state = "fallback";
+  else if (cache.data) state = isFresh() ? "fresh" : "stale";
+  return {
+    state,
+    origin: cache.origin,
+    age,
+    fetchedAt: cache.data ? new Date(cache.timestamp).toISOString() : null,
+    revalidating: Boolean(pendingRefresh),
+  };
+}
+
+export function characterCacheHeaders() {
+  const status = getCharacterCacheStatus();
+  const headers = {
+    "X-Loremaker-Cache": status.state,
+    "X-Loremaker-Cache-Origin": status.origin || "none",
+    "X-Loremaker-Revalidating": status.revalidating ? "1" : "0",
+  };
+  if (status.age != null) headers["X-Loremaker-Cache-Age"] = String(Math.round(status.age / 1000));
+  return headers;
+}
+
+export async function validateCharacterSource() {
+  const { adapter, table } = await loadSourceTable();
+  try {
+    return { source: adapter.label, ...validateCharacterTable(table) };
+  } catch (cause) {
+    throw sourceError(cause, adapter);
+  }
+}
+
+export function findCharacter(characters, id) {
+  if (!id) return null;
+  return (characters || []).find((char) => char && (char.id || toSlug(char.name)) === id) || null;
 }
 
 export function getCachedCharacters() {
@@ -382,12 +649,12 @@ export function getSourceOrder() {
 }
 
 export function clearCharacterCache() {
-  cache = { data: null, timestamp: 0 };
+  cache = { data: null, timestamp: 0, origin: null };
   sourceOrder.clear();
 }
 
 export function isCharactersConfigError(error) {
-  return Boolean(error && error.code === CONFIG_ERROR_CODE);
+  return Boolean(error && CONFIG_ERROR_CODES.has(error.code));
 }
 
 export function publicCharactersError(error) {
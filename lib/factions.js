@@ -0,0 +1,61 @@
+import { groupCharactersBy, normaliseArray, tallyValues, toSlug } from "./characters";
+import { summariseCharacter } from "./relations";
+import { powerOriginProfile, scoreCharacter } from "./battle";
+
+export function factionSlug(name) {
+  return toSlug(name);
+}
+
+export function collectFactions(characters) {
+  return groupCharactersBy(characters, (char) => char.faction);
+}
+
+function powerProfile(members) {
+  const totals = new Map();
+  members.forEach((char) => {
+    (char.powers || []).forEach((power) => {
+      if (!power?.name) return;
+      const entry = totals.get(power.name) || { name: power.name, wielders: 0, total: 0, peak: 0 };
+      const level = Number.isFinite(power.level) ? power.level : 0;
+      entry.wielders += 1;
+      entry.total += level;
+      entry.peak = Math.max(entry.peak, level);
+      totals.set(power.name, entry);
+    });
+  });
+  return Array.from(totals.values()).sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+}
+
+export function buildFaction(faction) {
+  const leaderboard = faction.members
+    .map((char) => ({
+      ...summariseCharacter(char),
+      score: scoreCharacter(char),
+      origin: powerOriginProfile(char).label,
+      powerCount: (char.powers || []).length,
+    }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .map((member, index) => ({ ...member, rank: index + 1 }));
+  const totalScore = leaderboard.reduce((sum, member) => sum + member.score, 0);
+
+  return {
+    slug: faction.slug,
+    name: faction.name,
+    leaderboard,
+    power: {
+      totalScore,
+      averageScore: leaderboard.length ? Math.round(totalScore / leaderboard.length) : 0,
+      origins: tallyValues(leaderboard.map((member) => member.origin)),
+      powers: powerProfile(faction.members).slice(0, 12),
+    },
+    locations: tallyValues(faction.members.flatMap((char) => normaliseArray(char.locations))),
+    stories: tallyValues(faction.members.flatMap((char) => normaliseArray(char.stories))),
+    alignments: tallyValues(faction.members.map((char) => char.alignment)),
+  };
+}
+
+export function findFaction(characters, slug) {
+  if (!slug) return null;
+  const faction = collectFactions(characters).find((entry) => entry.slug === slug);
+  return faction ? buildFaction(faction) : null;
+}
@@ -0,0 +1,42 @@
+// Server-only file helpers. webpackIgnore keeps node builtins out of the client bundle,
+// so modules shared with pages can import this file safely.
+
+async function nodeModules() {
+  const [fs, path, os] = await Promise.all([
+    import(/* webpackIgnore: true */ "fs"),
+    import(/* webpackIgnore: true */ "path"),
+    import(/* webpackIgnore: true */ "os"),
+  ]);
+  return { fs: fs.promises, path, os };
+}
+
+export async function resolveDataPath(filePath, { tmpName } = {}) {
+  const { path, os } = await nodeModules();
+  if (filePath) return path.resolve(process.cwd(), filePath);
+  return path.join(os.tmpdir(), tmpName);
+}
+
+export async function readTextFile(filePath) {
+  const { fs } = await nodeModules();
+  return fs.readFile(await resolveDataPath(filePath), "utf8");
+}
+
+export async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await readTextFile(filePath));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`[file-store] Could not read ${filePath}`, error);
+    }
+    return fallback;
+  }
+}
+
+export async function writeJsonFile(filePath, value) {
+  const { fs, path } = await nodeModules();
+  const target = await resolveDataPath(filePath);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(value), "utf8");
+  await fs.rename(temp, target);
+}
@@ -0,0 +1,143 @@
+import { useCallback, useEffect, useState } from "react";
+import { codexQueryString, parseCodexQuery } from "./filters";
+
+export const PRESET_STORAGE_KEY = "loremaker.filterPresets.v1";
+export const PRESET_EVENT = "loremaker:filter-presets";
+export const PRESET_LIMIT = 50;
+const NAME_LIMIT = 60;
+
+// Going through the URL form drops empty and unknown facets and leaves
+// single-choice ones (gender, alignment) in the shape the sidebar expects.
+export function presetView({ query = "", filters = {}, combineAND = false } = {}) {
+  const params = Object.fromEntries(new URLSearchParams(codexQueryString({ query, filters, combineAND })));
+  const view = parseCodexQuery(params);
+  return { query: view.query, filters: view.filters, combineAND: view.combineAND };
+}
+
+// Two views with the same key select the same characters.
+export const presetKey = (view) => codexQueryString(presetView(view));
+
+const cleanName = (name) =>
+  String(name || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, NAME_LIMIT);
+
+export function createPreset(name, view) {
+  return {
+    id: `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: cleanName(name) || "Untitled search",
+    ...presetView(view),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export function validatePreset(preset) {
+  if (!preset || typeof preset !== "object") return "Preset must be an object";
+  if (typeof preset.id !== "string" || !preset.id || preset.id.length > 80) return "Preset needs an id";
+  if (!cleanName(preset.name)) return "Preset needs a name";
+  if (preset.query != null && typeof preset.query !== "string") return "Preset query must be text";
+  if (preset.filters != null && (typeof preset.filters !== "object" || Array.isArray(preset.filters))) {
+    return "Preset filters must be an object";
+  }
+  return null;
+}
+
+export function addPreset(presets, preset) {
+  return [preset, ...(presets || []).filter((item) => item.id !== preset.id)].slice(0, PRESET_LIMIT);
+}
+
+export function renamePreset(presets, id, name) {
+  const next = cleanName(name);
+  if (!next) return presets;
+  return (presets || []).map((item) => (item.id === id ? { ...item, name: next } : item));
+}
+
+export function removePreset(presets, id) {
+  return (presets || []).filter((item) => item.id !== id);
+}
+
+export function exportPresets(presets) {
+  return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), presets: presets || [] }, null, 2);
+}
+
+// Accepts an export file or a bare array. Presets already saved under the same
+// id are replaced by the imported copy; invalid entries are reported, not fatal.
+export function importPresets(text, existing = []) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    return { presets: existing, imported: 0, errors: ["File is not valid JSON"] };
+  }
+  const list = Array.isArray(payload) ? payload : payload?.presets;
+  if (!Array.isArray(list)) {
+    return { presets: existing, imported: 0, errors: ["Expected a list of presets"] };
+  }
+
+  const errors = [];
+  let presets = existing;
+  let imported = 0;
+  [...list].reverse().forEach((item, index) => {
+    const problem = validatePreset(item);
+    if (problem) {
+      errors.push(`Preset ${list.length - index}: ${problem}`);
+      return;
+    }
+    presets = addPreset(presets, {
+      id: item.id,
+      name: cleanName(item.name),
+      ...presetView({ query: item.query || "", filters: item.filters || {}, combineAND: Boolean(item.combineAND) }),
+      createdAt: typeof item.createdAt === "string" ? item.createdAt : new Date().toISOString(),
+    });
+    imported += 1;
+  });
+  return { presets, imported, errors: errors.reverse() };
+}
+
+export function loadPresets() {
+  if (typeof window === "undefined") return [];
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(PRESET_STORAGE_KEY) || "[]");
+    return Array.isArray(saved) ? saved.filter((item) => !validatePreset(item)) : [];
+  } catch (error) {
+    console.warn("[filter-presets] Could not read saved presets", error);
+    return [];
+  }
+}
+
+export function savePresets(presets) {
+  if (typeof window === "undefined") return;
+  try {
+    window.localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn("[filter-presets] Could not save presets", error);
+  }
+  window.dispatchEvent(new CustomEvent(PRESET_EVENT));
+}
+
+// Saved searches for this browser, kept in step across tabs. The updater takes
+// the current list and returns the next one, like a state setter.
+export function useFilterPresets() {
+  const [presets, setPresets] = useState([]);
+
+  useEffect(() => {
+    const refresh = () => setPresets(loadPresets());
+    const onStorage = (event) => {
+      if (event.key === PRESET_STORAGE_KEY) refresh();
+    };
+    refresh();
+    window.addEventListener(PRESET_EVENT, refresh);
+    window.addEventListener("storage", onStorage);
+    return () => {
+      window.removeEventListener(PRESET_EVENT, refresh);
+      window.removeEventListener("storage", onStorage);
+    };
+  }, []);
+
+  const update = useCallback((updater) => {
+    savePresets(updater(loadPresets()));
+  }, []);
+
+  return [presets, update];
+}
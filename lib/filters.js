@@ -0,0 +1,394 @@
+import { normaliseArray } from "./characters";
+import { scoreCharacter } from "./battle";
+import { RATING_BASE, seasonRatings } from "./ratings";
+import { createSearchIndex, normaliseSearchText, searchCharacters } from "./search";
+import { parseSearchQuery } from "./search-query";
+
+export const SORT_OPTIONS = [
+  { value: "default", label: "Default" },
+  { value: "random", label: "Random" },
+  { value: "faction", label: "By Faction" },
+  { value: "az", label: "A-Z" },
+  { value: "za", label: "Z-A" },
+  { value: "most", label: "From Most Powerful" },
+  { value: "least", label: "From Least Powerful" },
+  { value: "rating", label: "By Arena Rating" },
+];
+
+export function getCharacterValues(character, key) {
+  switch (key) {
+    case "gender":
+    case "alignment":
+    case "status":
+    case "era":
+      return normaliseArray(character[key]);
+    case "locations":
+      return normaliseArray(character.locations);
+    case "faction":
+      return normaliseArray(character.faction);
+    case "tags":
+      return normaliseArray(character.tags);
+    case "stories":
+      return normaliseArray(character.stories);
+    case "powers":
+      return normaliseArray((character.powers || []).map((power) => power.name));
+    case "alias":
+    case "aliases":
+      return normaliseArray(character.alias);
+    case "id":
+    case "name":
+      return normaliseArray(character[key]);
+    default:
+      return normaliseArray(character[key]);
+  }
+}
+
+// Numeric filters shown as sliders. Their value in `filters` is { min, max }
+// with null for an open end. A power level range matches when any one power
+// falls inside it; the others measure the character as a whole.
+export const RANGE_FILTERS = [
+  {
+    key: "powerLevel",
+    param: "level",
+    label: "Power level",
+    read: (character) => (character.powers || []).map((power) => Number(power?.level)).filter(Number.isFinite),
+  },
+  { key: "score", param: "score", label: "Power score", read: (character) => [scoreCharacter(character)] },
+  { key: "powerCount", param: "power_count", label: "Powers", read: (character) => [(character.powers || []).length] },
+  {
+    key: "storyCount",
+    param: "story_count",
+    label: "Story appearances",
+    read: (character) => [normaliseArray(character.stories).length],
+  },
+];
+
+const RANGE_BY_KEY = Object.fromEntries(RANGE_FILTERS.map((range) => [range.key, range]));
+
+export const isRangeFilter = (key) => Boolean(RANGE_BY_KEY[key]);
+
+export const rangeActive = (value) =>
+  Boolean(value) && typeof value === "object" && (Number.isFinite(value.min) || Number.isFinite(value.max));
+
+// Slider ends for a range filter across a roster.
+export function rangeBounds(characters, key) {
+  const values = (characters || []).flatMap((character) => RANGE_BY_KEY[key].read(character));
+  if (!values.length) return { min: 0, max: 0 };
+  return { min: Math.floor(Math.min(...values)), max: Math.ceil(Math.max(...values)) };
+}
+
+export function formatRange({ min, max } = {}) {
+  const hasMin = Number.isFinite(min);
+  const hasMax = Number.isFinite(max);
+  if (hasMin && hasMax) return min === max ? `${min}` : `${min}–${max}`;
+  if (hasMin) return `≥ ${min}`;
+  return hasMax ? `≤ ${max}` : "any";
+}
+
+function inRange(values, { min, max }) {
+  return values.some(
+    (value) => (!Number.isFinite(min) || value >= min) && (!Number.isFinite(max) || value <= max)
+  );
+}
+
+// Facets and ranges only: the search box is matched by searchCodex over a
+// shared index (see queryCharacters). Ranges always narrow the results;
+// `combineAND` only changes how values picked within one facet combine.
+export function matchesFilters(character, filters = {}, combineAND = false) {
+  if (!filters || !Object.keys(filters).length) return true;
+
+  const entries = Object.entries(filters).filter(([key, value]) => {
+    if (value == null) return false;
+    if (isRangeFilter(key)) return rangeActive(value);
+    if (Array.isArray(value)) return value.length > 0;
+    return String(value).trim().length > 0;
+  });
+
+  if (!entries.length) return true;
+
+  return entries.every(([key, selected]) => {
+    if (isRangeFilter(key)) return inRange(RANGE_BY_KEY[key].read(character), selected);
+
+    const desired = normaliseArray(selected).map((value) => String(value).toLowerCase());
+    if (!desired.length) return true;
+
+    const available = getCharacterValues(character, key).map((value) => String(value).toLowerCase());
+    if (!available.length) return false;
+
+    const comparator = combineAND ? "every" : "some";
+    return desired[comparator]((needle) => available.includes(needle));
+  });
+}
+
+const strongestPower = (character) => {
+  const levels = (character.powers || []).map((power) => Number(power?.level)).filter(Number.isFinite);
+  return levels.length ? Math.max(...levels) : null;
+};
+
+const MEASURES = { powerLevel: strongestPower };
+
+const COMPARE = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  "=": (a, b) => a === b,
+};
+
+// Field clauses match a whole value or its start, so status:active finds
+// "Active" and faction:celestial finds "Celestial Wardens".
+function matchesClause(node, character, textHits) {
+  switch (node.type) {
+    case "and":
+      return node.children.every((child) => matchesClause(child, character, textHits));
+    case "or":
+      return node.children.some((child) => matchesClause(child, character, textHits));
+    case "not":
+      return !matchesClause(node.child, character, textHits);
+    case "text":
+      return textHits.get(node).has(character.id);
+    case "field": {
+      const needle = normaliseSearchText(node.value);
+      return getCharacterValues(character, node.key).some((value) => normaliseSearchText(value).startsWith(needle));
+    }
+    case "compare": {
+      const measured = MEASURES[node.measure](character);
+      return measured != null && COMPARE[node.op](measured, node.value);
+    }
+    default:
+      return false;
+  }
+}
+
+// Free-text parts outside a negation decide ranking and highlighting.
+function rankedText(node, negated = false) {
+  if (node.type === "text") return negated ? [] : [node];
+  if (node.type === "not") return rankedText(node.child, !negated);
+  return (node.children || []).flatMap((child) => rankedText(child, negated));
+}
+
+function textNodes(node) {
+  if (node.type === "text") return [node];
+  if (node.type === "not") return textNodes(node.child);
+  return (node.children || []).flatMap(textNodes);
+}
+
+// Runs what was typed in the search box (free text plus field clauses, see
+// lib/search-query) over an index. A query that doesn't parse still searches
+// as plain text, and the parse error comes back for the caller to show.
+export function searchCodex(index, query = "") {
+  if (!query.trim()) return { hits: [], error: null };
+  const { ast, error } = parseSearchQuery(query);
+  if (error) return { hits: searchCharacters(index, query), error };
+
+  const textHits = new Map(
+    textNodes(ast).map((node) => [node, new Map(searchCharacters(index, node.value).map((hit) => [hit.id, hit]))])
+  );
+  const ranked = rankedText(ast);
+  const hits = index.docs
+    .filter((character) => matchesClause(ast, character, textHits))
+    .map((character) => {
+      const matches = ranked.map((node) => textHits.get(node).get(character.id)).filter(Boolean);
+      const top = matches.reduce((best, hit) => (!best || hit.score > best.score ? hit : best), null);
+      return {
+        id: character.id,
+        character,
+        score: matches.reduce((sum, hit) => sum + hit.score, 0),
+        field: top?.field || null,
+        terms: Array.from(new Set(matches.flatMap((hit) => hit.terms))),
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+  return { hits, error: null };
+}
+
+const SORT_VALUES = new Set(SORT_OPTIONS.map((option) => option.value));
+const MAX_PAGE_SIZE = 200;
+
+// Query-string names accepted by /api/characters, mapped to the filter keys used by matchesFilters.
+export const FILTER_PARAMS = {
+  gender: "gender",
+  alignment: "alignment",
+  era: "era",
+  status: "status",
+  location: "locations",
+  faction: "faction",
+  power: "powers",
+  tag: "tags",
+  story: "stories",
+  alias: "alias",
+};
+
+// The sidebar treats these as one-of choices and stores a plain string.
+const SINGLE_VALUE_FILTERS = new Set(["gender", "alignment"]);
+
+// Ratings should be computed over the whole roster, not a filtered slice, so
+// callers that have them pass them in; otherwise the daily season is used.
+// `relevance` maps ids to search scores; the default order follows it when set.
+export function sortCharacters(characters, sortMode = "default", random = Math.random, { ratings, relevance } = {}) {
+  const arr = [...characters];
+  switch (sortMode) {
+    case "random":
+      return arr.sort(() => random() - 0.5);
+    case "faction":
+      return arr.sort((a, b) => String(a.faction?.[0] || "").localeCompare(String(b.faction?.[0] || "")));
+    case "az":
+      return arr.sort((a, b) => a.name.localeCompare(b.name));
+    case "za":
+      return arr.sort((a, b) => b.name.localeCompare(a.name));
+    case "most":
+      return arr.sort((a, b) => scoreCharacter(b) - scoreCharacter(a));
+    case "least":
+      return arr.sort((a, b) => scoreCharacter(a) - scoreCharacter(b));
+    case "rating": {
+      const table = ratings || seasonRatings(arr);
+      const ratingOf = (char) => table[char.id]?.rating ?? RATING_BASE;
+      return arr.sort((a, b) => ratingOf(b) - ratingOf(a) || a.name.localeCompare(b.name));
+    }
+    default:
+      return relevance ? arr.sort((a, b) => (relevance.get(b.id) || 0) - (relevance.get(a.id) || 0)) : arr;
+  }
+}
+
+const paramList = (value) =>
+  normaliseArray(value)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const firstParam = (value) => (Array.isArray(value) ? value[0] : value);
+
+// Ranges are written min..max; either end can be left off (8.., ..40) and a
+// lone number means exactly that value.
+function parseRange(text) {
+  const match = /^(-?\d+(?:\.\d+)?)?(?:(\.\.)(-?\d+(?:\.\d+)?)?)?$/.exec(String(text).trim());
+  if (!match || (!match[1] && !match[3])) return null;
+  const min = match[1] != null ? Number(match[1]) : null;
+  const max = match[2] ? (match[3] != null ? Number(match[3]) : null) : min;
+  if (min != null && max != null && min > max) return null;
+  return { min, max };
+}
+
+function parseFilterParams(params) {
+  const filters = {};
+  let error = null;
+  Object.entries(FILTER_PARAMS).forEach(([param, key]) => {
+    const values = paramList(params[param]);
+    if (values.length) filters[key] = values;
+  });
+  RANGE_FILTERS.forEach(({ key, param }) => {
+    const value = firstParam(params[param]);
+    if (value == null || value === "") return;
+    const range = parseRange(value);
+    if (range) filters[key] = range;
+    else error = error || `${param} must be a range like 4..8, 4.. or ..8`;
+  });
+  return { filters, error };
+}
+
+export function parseCharacterQuery(params = {}) {
+  const { filters, error: rangeError } = parseFilterParams(params);
+  if (rangeError) return { error: rangeError };
+
+  const mode = String(firstParam(params.mode) || "or").toLowerCase();
+  if (mode !== "and" && mode !== "or") {
+    return { error: 'mode must be "and" or "or"' };
+  }
+
+  const sortMode = String(firstParam(params.sort) || "default");
+  if (!SORT_VALUES.has(sortMode)) {
+    return { error: `sort must be one of: ${Array.from(SORT_VALUES).join(", ")}` };
+  }
+
+  let limit = null;
+  if (firstParam(params.limit) != null) {
+    limit = Number(firstParam(params.limit));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let offset = 0;
+  if (firstParam(params.cursor) != null) {
+    offset = Number(firstParam(params.cursor));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return { error: "cursor is invalid" };
+    }
+  }
+
+  // A q that isn't valid query syntax is still searched as plain text (see
+  // searchCodex); the parse problem is passed along for the response.
+  const query = String(firstParam(params.q) || "");
+  const { error: queryError } = parseSearchQuery(query);
+
+  return {
+    query,
+    queryError: queryError ? `${queryError.message} (at character ${queryError.start + 1})` : null,
+    filters,
+    combineAND: mode === "and",
+    sortMode,
+    seed: firstParam(params.seed) ? String(firstParam(params.seed)) : null,
+    limit,
+    offset,
+  };
+}
+
+export function queryCharacters(characters, { query = "", filters = {}, combineAND = false, sortMode = "default", random, limit = null, offset = 0 } = {}) {
+  const hits = query.trim() ? searchCodex(createSearchIndex(characters), query).hits : null;
+  const relevance = hits ? new Map(hits.map((hit) => [hit.id, hit.score])) : undefined;
+  const matched = characters.filter(
+    (character) => (!relevance || relevance.has(character.id)) && matchesFilters(character, filters, combineAND)
+  );
+  const ratings = sortMode === "rating" ? seasonRatings(characters) : undefined;
+  const sorted = sortCharacters(matched, sortMode, random, { ratings, relevance });
+  const end = limit == null ? sorted.length : offset + limit;
+  return {
+    data: sorted.slice(offset, end),
+    total: sorted.length,
+    nextCursor: end < sorted.length ? String(end) : null,
+  };
+}
+
+// The codex page keeps its view in the URL with the same parameter names as
+// /api/characters, so a bookmarked view and the equivalent API call line up.
+export const CODEX_QUERY_KEYS = [
+  "q",
+  "mode",
+  "sort",
+  ...Object.keys(FILTER_PARAMS),
+  ...RANGE_FILTERS.map((range) => range.param),
+];
+
+export function codexQueryString({ query = "", filters = {}, combineAND = false, sortMode = "default" } = {}) {
+  const parts = [];
+  if (query.trim()) parts.push(`q=${encodeURIComponent(query)}`);
+  Object.entries(FILTER_PARAMS).forEach(([param, key]) => {
+    const values = normaliseArray(filters?.[key]);
+    if (values.length) parts.push(`${param}=${values.map(encodeURIComponent).join(",")}`);
+  });
+  RANGE_FILTERS.forEach(({ key, param }) => {
+    const range = filters?.[key];
+    if (!rangeActive(range)) return;
+    const [min, max] = [range.min, range.max].map((end) => (Number.isFinite(end) ? end : ""));
+    parts.push(min !== "" && min === max ? `${param}=${min}` : `${param}=${min}..${max}`);
+  });
+  if (combineAND) parts.push("mode=and");
+  if (sortMode && sortMode !== "default") parts.push(`sort=${encodeURIComponent(sortMode)}`);
+  return parts.join("&");
+}
+
+// Unlike parseCharacterQuery this never fails: a hand-edited link with an
+// unknown sort, mode or range just falls back to the defaults.
+export function parseCodexQuery(params = {}) {
+  const { filters } = parseFilterParams(params);
+  SINGLE_VALUE_FILTERS.forEach((key) => {
+    if (filters[key]) filters[key] = filters[key][0];
+  });
+  const sortMode = String(firstParam(params.sort) || "default");
+  return {
+    query: String(firstParam(params.q) || ""),
+    filters,
+    combineAND: String(firstParam(params.mode) || "").toLowerCase() === "and",
+    sortMode: SORT_VALUES.has(sortMode) ? sortMode : "default",
+  };
+}
@@ -0,0 +1,65 @@
+import { seededRandom } from "./characters";
+
+const REPULSION = 2600;
+const SPRING = 0.04;
+const GRAVITY = 0.012;
+const DAMPING = 0.82;
+const LINK_DISTANCE = { ally: 70, family: 60, rival: 110, faction: 90, story: 120 };
+
+export function initialiseLayout(nodes, { width, height, seed = "relationships" }) {
+  const rng = seededRandom(seed);
+  return nodes.map((node) => ({
+    ...node,
+    x: width / 2 + (rng() - 0.5) * width * 0.6,
+    y: height / 2 + (rng() - 0.5) * height * 0.6,
+    vx: 0,
+    vy: 0,
+  }));
+}
+
+// One simulation tick. Mutates positions in place; pinned nodes (fx/fy set) hold still.
+export function stepLayout(positions, links, { width, height, alpha = 1 }) {
+  const index = new Map(positions.map((node, i) => [node.id, i]));
+  for (let i = 0; i < positions.length; i++) {
+    const a = positions[i];
+    for (let j = i + 1; j < positions.length; j++) {
+      const b = positions[j];
+      const dx = a.x - b.x || 0.01;
+      const dy = a.y - b.y || 0.01;
+      const distSq = Math.max(dx * dx + dy * dy, 36);
+      const force = (REPULSION * alpha) / distSq;
+      const dist = Math.sqrt(distSq);
+      a.vx += (dx / dist) * force;
+      a.vy += (dy / dist) * force;
+      b.vx -= (dx / dist) * force;
+      b.vy -= (dy / dist) * force;
+    }
+  }
+  links.forEach((link) => {
+    const a = positions[index.get(link.source)];
+    const b = positions[index.get(link.target)];
+    if (!a || !b) return;
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    const pull = (dist - (LINK_DISTANCE[link.type] || 90)) * SPRING * alpha;
+    a.vx += (dx / dist) * pull;
+    a.vy += (dy / dist) * pull;
+    b.vx -= (dx / dist) * pull;
+    b.vy -= (dy / dist) * pull;
+  });
+  positions.forEach((node) => {
+    if (node.fx != null) {
+      node.x = node.fx;
+      node.y = node.fy;
+      node.vx = 0;
+      node.vy = 0;
+      return;
+    }
+    node.vx = (node.vx + (width / 2 - node.x) * GRAVITY * alpha) * DAMPING;
+    node.vy = (node.vy + (height / 2 - node.y) * GRAVITY * alpha) * DAMPING;
+    node.x = Math.min(width - 20, Math.max(20, node.x + node.vx));
+    node.y = Math.min(height - 20, Math.max(20, node.y + node.vy));
+  });
+  return positions;
+}
@@ -0,0 +1,56 @@
+import { groupCharactersBy, normaliseArray, tallyValues, toSlug } from "./characters";
+import { summariseCharacter } from "./relations";
+
+const UNCHARTED_ERA = "Uncharted era";
+
+export function locationSlug(name) {
+  return toSlug(name);
+}
+
+export function collectLocations(characters) {
+  return groupCharactersBy(characters, (char) => char.locations);
+}
+
+export function buildLocation(location) {
+  const residents = [...location.members].sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    slug: location.slug,
+    name: location.name,
+    residents: residents.map((char) => ({
+      ...summariseCharacter(char),
+      faction: normaliseArray(char.faction),
+    })),
+    factions: tallyValues(residents.flatMap((char) => normaliseArray(char.faction))),
+    eras: tallyValues(residents.map((char) => char.era)),
+    stories: tallyValues(residents.flatMap((char) => normaliseArray(char.stories))),
+  };
+}
+
+export function findLocation(characters, slug) {
+  if (!slug) return null;
+  const location = collectLocations(characters).find((entry) => entry.slug === slug);
+  return location ? buildLocation(location) : null;
+}
+
+// The atlas files each location under the era most of its residents belong to.
+export function buildAtlas(characters) {
+  const regions = new Map();
+  collectLocations(characters).forEach((location) => {
+    const era = tallyValues(location.members.map((char) => char.era))[0]?.name || UNCHARTED_ERA;
+    const entry = {
+      slug: location.slug,
+      name: location.name,
+      count: location.members.length,
+      residents: location.members.slice(0, 8).map(summariseCharacter),
+      factions: tallyValues(location.members.flatMap((char) => normaliseArray(char.faction))).map((item) => item.name),
+    };
+    regions.set(era, [...(regions.get(era) || []), entry]);
+  });
+  return Array.from(regions.entries())
+    .map(([era, locations]) => ({
+      era,
+      count: locations.reduce((sum, location) => sum + location.count, 0),
+      locations,
+    }))
+    .sort((a, b) => (a.era === UNCHARTED_ERA) - (b.era === UNCHARTED_ERA) || b.count - a.count || a.era.localeCompare(b.era));
+}
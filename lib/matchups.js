@@ -0,0 +1,52 @@
+import { BATTLE_RULES } from "./battle-rules";
+
+// Power-vs-power counters, kept with the other balancing rules in
+// data/battle-rules.json. When the power an attacker leads a swing with
+// matches `attacker` keywords and the defender's lead power matches
+// `defender` keywords, the swing's strike is raised by `bonus`.
+export const POWER_MATCHUPS = BATTLE_RULES.matchups;
+
+// Keywords match whole words or their plurals, so "ice" catches "Ice Wall" and
+// "ward" catches "Wards", but "light" misses "Lightning" and "ward" misses "Warden".
+const matchesKeyword = (name, keywords) => {
+  const words = new Set((name || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+  return keywords.some((keyword) => {
+    const stem = String(keyword).toLowerCase();
+    return words.has(stem) || words.has(`${stem}s`) || words.has(`${stem}es`);
+  });
+};
+
+export function findMatchup(attackerPower, defenderPower, rules = POWER_MATCHUPS) {
+  if (!attackerPower?.name || !defenderPower?.name) return null;
+  const rule = rules.find(
+    (entry) => matchesKeyword(attackerPower.name, entry.attacker) && matchesKeyword(defenderPower.name, entry.defender)
+  );
+  if (!rule) return null;
+  return {
+    id: rule.id,
+    label: rule.label,
+    bonus: rule.bonus,
+    attackerPower: attackerPower.name,
+    defenderPower: defenderPower.name,
+  };
+}
+
+// Each swing is led by one power, drawn in proportion to its level.
+export function pickLeadPower(character, rng) {
+  const powers = (character?.powers || []).filter((power) => power?.name);
+  if (!powers.length) return null;
+  const weights = powers.map((power) => Math.max(1, Number(power.level) || 0));
+  let roll = rng() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < powers.length; i += 1) {
+    roll -= weights[i];
+    if (roll < 0) return powers[i];
+  }
+  return powers[powers.length - 1];
+}
+
+export function describeMatchup(advantage, attackerName, defenderName) {
+  if (!advantage) return null;
+  return `${attackerName}'s ${advantage.attackerPower} counters ${defenderName}'s ${advantage.defenderPower}: ${advantage.label} (+${Math.round(
+    advantage.bonus * 100
+  )}%)`;
+}
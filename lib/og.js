@@ -0,0 +1,44 @@
+import { ImageResponse } from "next/og";
+
+export const OG_SIZE = { width: 1200, height: 630 };
+
+const IMAGE_TIMEOUT = 4000;
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+
+// Portraits are inlined as data URLs so a slow or missing image host falls back
+// to a monogram instead of failing the whole card.
+export async function loadImageDataUrl(url) {
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), IMAGE_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    const type = response.headers.get("content-type") || "";
+    if (!response.ok || !/^image\/(png|jpe?g|gif|webp)/i.test(type)) return null;
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_IMAGE_BYTES) return null;
+    return `data:${type.split(";")[0]};base64,${buffer.toString("base64")}`;
+  } catch (error) {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function initials(name) {
+  return (name || "?")
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((word) => word[0].toUpperCase())
+    .join("");
+}
+
+// Renders with the Node build of next/og and writes the PNG to a pages API response.
+export async function sendImage(res, element, { maxAge = 600 } = {}) {
+  const image = new ImageResponse(element, OG_SIZE);
+  const buffer = Buffer.from(await image.arrayBuffer());
+  res.setHeader("Content-Type", "image/png");
+  res.setHeader("Cache-Control", `public, max-age=${maxAge}, s-maxage=${maxAge}, stale-while-revalidate=${maxAge}`);
+  res.status(200).send(buffer);
+}
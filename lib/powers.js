@@ -0,0 +1,87 @@
+import { groupCharactersBy, normaliseArray, toSlug } from "./characters";
+import { summariseCharacter } from "./relations";
+
+export const POWER_LEVELS = Array.from({ length: 11 }, (_, level) => level);
+
+export function powerSlug(name) {
+  return toSlug(name);
+}
+
+const powerNames = (char) => (char.powers || []).map((power) => power?.name).filter(Boolean);
+
+function levelOf(char, slug) {
+  const power = (char.powers || []).find((item) => item?.name && powerSlug(item.name) === slug);
+  return Number.isFinite(Number(power?.level)) ? Number(power.level) : 0;
+}
+
+// Wielder count and average level per power, as shown in the quick filter rail.
+export function tallyPowers(characters) {
+  const powerMap = new Map();
+  (characters || []).forEach((item) => {
+    (item?.powers || []).forEach((power) => {
+      const slug = power?.name && powerSlug(power.name);
+      if (!slug) return;
+      const entry = powerMap.get(slug) || { name: power.name, count: 0, total: 0, peak: 0 };
+      const level = Number(power.level) || 0;
+      entry.count += 1;
+      entry.total += level;
+      entry.peak = Math.max(entry.peak, level);
+      powerMap.set(slug, entry);
+    });
+  });
+  return Array.from(powerMap.entries()).map(([slug, meta]) => ({
+    name: meta.name,
+    slug,
+    count: meta.count,
+    peak: meta.peak,
+    avg: meta.count ? meta.total / meta.count : 0,
+  }));
+}
+
+export function collectPowers(characters) {
+  return groupCharactersBy(characters, powerNames);
+}
+
+export function buildPower(power, { relatedLimit = 12 } = {}) {
+  const wielders = power.members
+    .map((char) => ({
+      ...summariseCharacter(char),
+      faction: normaliseArray(char.faction),
+      level: levelOf(char, power.slug),
+    }))
+    .sort((a, b) => b.level - a.level || a.name.localeCompare(b.name))
+    .map((wielder, index) => ({ ...wielder, rank: index + 1 }));
+
+  const histogram = POWER_LEVELS.map((level) => ({
+    level,
+    count: wielders.filter((wielder) => wielder.level === level).length,
+  }));
+
+  const related = tallyPowers(power.members)
+    .filter((entry) => entry.slug !== power.slug)
+    .map((entry) => ({
+      name: entry.name,
+      slug: entry.slug,
+      count: entry.count,
+      share: Math.round((entry.count / power.members.length) * 100),
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, relatedLimit);
+
+  const total = wielders.reduce((sum, wielder) => sum + wielder.level, 0);
+  return {
+    slug: power.slug,
+    name: power.name,
+    wielders,
+    histogram,
+    related,
+    averageLevel: wielders.length ? Math.round((total / wielders.length) * 10) / 10 : 0,
+    peakLevel: wielders[0]?.level ?? 0,
+  };
+}
+
+export function findPower(characters, slug) {
+  if (!slug) return null;
+  const power = collectPowers(characters).find((entry) => entry.slug === slug);
+  return power ? buildPower(power) : null;
+}
@@ -0,0 +1,125 @@
+import { seededRandom, todayKey } from "./characters";
+import { duel } from "./battle";
+
+export const RATING_BASE = 1500;
+export const RATING_K = 32;
+export const SEASON_OPPONENTS = 24;
+
+const expectedScore = (rating, opponent) => 1 / (1 + 10 ** ((opponent - rating) / 400));
+
+function ratingEntry(table, id, name, base) {
+  if (!table.has(id)) {
+    table.set(id, { id, name, rating: base, peak: base, wins: 0, losses: 0, battles: 0 });
+  }
+  const entry = table.get(id);
+  if (name && !entry.name) entry.name = name;
+  return entry;
+}
+
+// Elo over battle records (oldest first). Team fights and free-for-alls are
+// scored as every winner beating every loser, with K shared across those
+// pairings so a six-way brawl moves ratings about as far as a duel.
+export function computeRatings(records, { initial = {}, base = RATING_BASE, k = RATING_K } = {}) {
+  const table = new Map();
+  Object.values(initial).forEach((entry) => table.set(entry.id, { ...entry }));
+
+  (records || []).forEach((record) => {
+    const names = new Map((record.participants || []).map((item) => [item.id, item.name]));
+    const winners = (record.winners || []).map((id) => ratingEntry(table, id, names.get(id), base));
+    const losers = (record.losers || []).map((id) => ratingEntry(table, id, names.get(id), base));
+    if (!winners.length || !losers.length) return;
+    const deltas = new Map();
+    winners.forEach((winner) => {
+      losers.forEach((loser) => {
+        const shift = (k / Math.max(winners.length, losers.length)) * (1 - expectedScore(winner.rating, loser.rating));
+        deltas.set(winner.id, (deltas.get(winner.id) || 0) + shift);
+        deltas.set(loser.id, (deltas.get(loser.id) || 0) - shift);
+      });
+    });
+    [...winners, ...losers].forEach((entry) => {
+      entry.rating += deltas.get(entry.id) || 0;
+      entry.peak = Math.max(entry.peak, entry.rating);
+      entry.battles += 1;
+    });
+    winners.forEach((entry) => {
+      entry.wins += 1;
+    });
+    losers.forEach((entry) => {
+      entry.losses += 1;
+    });
+  });
+
+  return Object.fromEntries(table);
+}
+
+function seasonPairings(characters, rng, opponents) {
+  const pairs = [];
+  if (characters.length - 1 <= opponents) {
+    characters.forEach((a, i) => characters.slice(i + 1).forEach((b) => pairs.push([a, b])));
+  } else {
+    // Large rosters: everyone meets a fixed number of drawn opponents.
+    characters.forEach((a, i) => {
+      for (let n = 0; n < opponents / 2; n += 1) {
+        let j = Math.floor(rng() * (characters.length - 1));
+        if (j >= i) j += 1;
+        pairs.push([a, characters[j]]);
+      }
+    });
+  }
+  // Elo depends on order, so shuffle rather than letting roster order decide.
+  for (let i = pairs.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [pairs[i], pairs[j]] = [pairs[j], pairs[i]];
+  }
+  return pairs;
+}
+
+// A batch of simulated duels gives every character a rating before anyone
+// has fought. Power levels rotate daily, so the season is seeded by date.
+export function simulateSeason(characters, { seed = todayKey(), opponents = SEASON_OPPONENTS } = {}) {
+  const roster = (characters || []).filter((char) => char?.id);
+  const rng = seededRandom(`season|${seed}`);
+  return seasonPairings(roster, rng, opponents).map(([a, b]) => {
+    const result = duel(a, b, `${seed}-${a.id}-${b.id}`);
+    return {
+      participants: [
+        { id: a.id, name: a.name },
+        { id: b.id, name: b.name },
+      ],
+      winners: [result.winner.id],
+      losers: [result.loser.id],
+    };
+  });
+}
+
+// A season depends only on the roster and its date, and the character cache
+// hands out the same roster array until it refreshes, so each array keeps the
+// last season simulated for it.
+const seasonCache = new WeakMap();
+
+export function seasonRatings(characters, { seed = todayKey(), opponents = SEASON_OPPONENTS } = {}) {
+  const key = `${seed}|${opponents}`;
+  const cached = characters ? seasonCache.get(characters) : null;
+  if (cached?.key === key) return cached.ratings;
+
+  const initial = new Map();
+  (characters || []).forEach((char) => {
+    if (char?.id) ratingEntry(initial, char.id, char.name, RATING_BASE);
+  });
+  const ratings = computeRatings(simulateSeason(characters, { seed, opponents }), { initial: Object.fromEntries(initial) });
+  if (characters) seasonCache.set(characters, { key, ratings });
+  return ratings;
+}
+
+// Recorded arena battles (stored newest first) move ratings on from the
+// simulated season baseline.
+export function arenaRatings(characters, history = [], options) {
+  return computeRatings([...history].reverse(), { initial: seasonRatings(characters, options) });
+}
+
+export function rankRatings(ratings) {
+  return Object.values(ratings)
+    .map((entry) => ({ ...entry, rating: Math.round(entry.rating), peak: Math.round(entry.peak) }))
+    .sort((a, b) => b.rating - a.rating || b.wins - a.wins || (a.name || "").localeCompare(b.name || ""))
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+}
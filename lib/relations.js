@@ -0,0 +1,136 @@
+import { normaliseArray, toSlug } from "./characters";
+
+const RELATION_FIELDS = {
+  faction: (char) => normaliseArray(char.faction),
+  locations: (char) => normaliseArray(char.locations),
+  stories: (char) => normaliseArray(char.stories),
+  powers: (char) => normaliseArray((char.powers || []).map((power) => power?.name)),
+};
+
+// Shared factions weigh the most, shared powers the least.
+const RELATION_WEIGHTS = { faction: 3, stories: 2, locations: 2, powers: 1 };
+
+export function summariseCharacter(char) {
+  return {
+    id: char.id,
+    name: char.name,
+    alias: normaliseArray(char.alias),
+    shortDesc: char.shortDesc || null,
+    cover: char.cover || char.gallery?.[0] || null,
+  };
+}
+
+export function computeRelations(character, characters, { limit = 12 } = {}) {
+  if (!character) return [];
+  const own = Object.fromEntries(
+    Object.entries(RELATION_FIELDS).map(([key, read]) => [
+      key,
+      new Map(read(character).map((value) => [String(value).toLowerCase(), value])),
+    ])
+  );
+
+  const related = [];
+  (characters || []).forEach((other) => {
+    if (!other || other.id === character.id) return;
+    const shared = {};
+    let score = 0;
+    Object.entries(RELATION_FIELDS).forEach(([key, read]) => {
+      const matches = read(other)
+        .map((value) => own[key].get(String(value).toLowerCase()))
+        .filter(Boolean);
+      shared[key] = Array.from(new Set(matches));
+      score += shared[key].length * RELATION_WEIGHTS[key];
+    });
+    if (score > 0) related.push({ ...summariseCharacter(other), shared, score });
+  });
+
+  related.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  return limit == null ? related : related.slice(0, limit);
+}
+
+export const RELATIONSHIP_TYPES = {
+  ally: { label: "Ally", explicit: true },
+  rival: { label: "Rival", explicit: true },
+  family: { label: "Family", explicit: true },
+  faction: { label: "Shared faction", explicit: false },
+  story: { label: "Shared story", explicit: false },
+};
+
+const EXPLICIT_FIELDS = { allies: "ally", rivals: "rival", family: "family" };
+
+function characterResolver(characters) {
+  const lookup = new Map();
+  characters.forEach((char) => {
+    [char.id, char.name, toSlug(char.name), ...normaliseArray(char.alias)]
+      .filter(Boolean)
+      .forEach((key) => {
+        const normalised = String(key).trim().toLowerCase();
+        if (!lookup.has(normalised)) lookup.set(normalised, char.id);
+      });
+  });
+  return (ref) => {
+    const key = String(ref || "").trim().toLowerCase();
+    return lookup.get(key) || lookup.get(toSlug(key)) || null;
+  };
+}
+
+// Links are undirected: an ally listed on either row connects both characters once.
+export function buildRelationshipGraph(characters, { focusId = null, inferred = true } = {}) {
+  const roster = (characters || []).filter((char) => char && char.id);
+  const resolve = characterResolver(roster);
+  const links = new Map();
+  const addLink = (a, b, type, label) => {
+    if (!a || !b || a === b) return;
+    const [source, target] = a < b ? [a, b] : [b, a];
+    const key = `${source}|${target}|${type}`;
+    const link = links.get(key) || { source, target, type, labels: [] };
+    if (label && !link.labels.includes(label)) link.labels.push(label);
+    links.set(key, link);
+  };
+
+  roster.forEach((char) => {
+    Object.entries(EXPLICIT_FIELDS).forEach(([field, type]) => {
+      normaliseArray(char[field]).forEach((ref) => addLink(char.id, resolve(ref), type, null));
+    });
+  });
+
+  if (inferred) {
+    const groups = { faction: new Map(), story: new Map() };
+    roster.forEach((char) => {
+      normaliseArray(char.faction).forEach((name) => {
+        groups.faction.set(name, [...(groups.faction.get(name) || []), char.id]);
+      });
+      normaliseArray(char.stories).forEach((name) => {
+        groups.story.set(name, [...(groups.story.get(name) || []), char.id]);
+      });
+    });
+    Object.entries(groups).forEach(([type, byName]) => {
+      byName.forEach((ids, name) => {
+        for (let i = 0; i < ids.length; i++) {
+          for (let j = i + 1; j < ids.length; j++) addLink(ids[i], ids[j], type, name);
+        }
+      });
+    });
+  }
+
+  let linkList = Array.from(links.values());
+  let included = new Set(roster.map((char) => char.id));
+  if (focusId) {
+    included = new Set([focusId]);
+    linkList.forEach((link) => {
+      if (link.source === focusId) included.add(link.target);
+      if (link.target === focusId) included.add(link.source);
+    });
+    linkList = linkList.filter((link) => included.has(link.source) && included.has(link.target));
+  }
+
+  const nodes = roster
+    .filter((char) => included.has(char.id))
+    .map((char) => ({
+      id: char.id,
+      name: char.name,
+      faction: normaliseArray(char.faction)[0] || null,
+      cover: char.cover || char.gallery?.[0] || null,
+    }));
+  return { nodes, links: linkList };
+}
@@ -0,0 +1,206 @@
+// Field names accepted in the search box, mapped to getCharacterValues keys.
+export const QUERY_FIELDS = {
+  name: "name",
+  id: "id",
+  alias: "alias",
+  aka: "alias",
+  faction: "faction",
+  team: "faction",
+  power: "powers",
+  powers: "powers",
+  location: "locations",
+  locations: "locations",
+  loc: "locations",
+  tag: "tags",
+  tags: "tags",
+  story: "stories",
+  stories: "stories",
+  status: "status",
+  gender: "gender",
+  sex: "gender",
+  alignment: "alignment",
+  era: "era",
+};
+
+// Fields that take numeric comparisons (power>=8) and the measure they compare.
+export const NUMERIC_QUERY_FIELDS = {
+  power: "powerLevel",
+  powers: "powerLevel",
+  level: "powerLevel",
+};
+
+const COMPARISONS = new Set([">=", "<=", ">", "<", "="]);
+const KEYWORDS = { OR: "or", AND: "and", NOT: "not" };
+
+function queryError(message, start, end) {
+  return { queryError: true, message, start, end: Math.max(end, start + 1) };
+}
+
+function readQuoted(input, open) {
+  const close = input.indexOf('"', open + 1);
+  if (close === -1) throw queryError("Missing closing quote", open, input.length);
+  return { text: input.slice(open + 1, close), end: close + 1 };
+}
+
+function lex(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    const start = i;
+    if (/\s/.test(ch)) {
+      i += 1;
+    } else if (ch === "(" || ch === ")") {
+      tokens.push({ type: ch === "(" ? "open" : "close", start, end: i + 1 });
+      i += 1;
+    } else if (ch === "|") {
+      tokens.push({ type: "or", start, end: i + 1 });
+      i += 1;
+    } else if (ch === "-" && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: "not", start, end: i + 1 });
+      i += 1;
+    } else if (ch === '"') {
+      const quoted = readQuoted(input, i);
+      if (!quoted.text.trim()) throw queryError("Empty quotes", start, quoted.end);
+      tokens.push({ type: "word", text: quoted.text, start, end: quoted.end });
+      i = quoted.end;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()"|]/.test(input[j])) j += 1;
+      const text = input.slice(i, j);
+      const field = /^([a-z]+)(>=|<=|:|>|<|=)(.*)$/i.exec(text);
+      if (field) {
+        let value = field[3];
+        if (!value && input[j] === '"') {
+          const quoted = readQuoted(input, j);
+          value = quoted.text;
+          j = quoted.end;
+        }
+        tokens.push({ type: "field", name: field[1].toLowerCase(), op: field[2], value, start, end: j });
+      } else if (KEYWORDS[text]) {
+        tokens.push({ type: KEYWORDS[text], start, end: j });
+      } else {
+        tokens.push({ type: "word", text, start, end: j });
+      }
+      i = j;
+    }
+  }
+  return tokens;
+}
+
+function fieldNode(token) {
+  const { name, op, value, start, end } = token;
+  const trimmed = value.trim();
+  if (COMPARISONS.has(op)) {
+    const measure = NUMERIC_QUERY_FIELDS[name];
+    if (!measure) throw queryError(`"${name}" can't be compared with ${op}; use ${name}:value`, start, end);
+    const number = Number(trimmed);
+    if (!trimmed || !Number.isFinite(number)) {
+      throw queryError(`${name}${op} needs a number, e.g. ${name}${op}8`, start, end);
+    }
+    return { type: "compare", measure, op, value: number };
+  }
+  const key = QUERY_FIELDS[name];
+  if (!key) {
+    throw queryError(`Unknown field "${name}". Try faction, power, status, tag, location, story or era`, start, end);
+  }
+  if (!trimmed) throw queryError(`${name}: needs a value`, start, end);
+  return { type: "field", key, value: trimmed };
+}
+
+// Bare words in the same group are searched together so they rank as a phrase.
+function joinText(children) {
+  const words = children.filter((child) => child.type === "text");
+  if (words.length < 2) return children;
+  const text = { type: "text", value: words.map((child) => child.value).join(" ") };
+  return [text, ...children.filter((child) => child.type !== "text")];
+}
+
+function parseTokens(tokens, input) {
+  let position = 0;
+  const peek = () => tokens[position];
+  const endOfInput = () => queryError("Query ends too early", input.length, input.length);
+
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek()?.type === "or") {
+      const token = tokens[position];
+      position += 1;
+      if (!peek() || peek().type === "close" || peek().type === "or") {
+        throw queryError("OR needs a term on both sides", token.start, token.end);
+      }
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: "or", children };
+  }
+
+  function parseAnd() {
+    const children = [];
+    while (peek() && peek().type !== "close" && peek().type !== "or") {
+      if (peek().type === "and") {
+        const token = tokens[position];
+        position += 1;
+        if (!children.length || !peek() || ["close", "or", "and"].includes(peek().type)) {
+          throw queryError("AND needs a term on both sides", token.start, token.end);
+        }
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    if (!children.length) {
+      const token = peek();
+      if (!token) throw endOfInput();
+      throw queryError(token.type === "or" ? "OR needs a term on both sides" : `Unexpected ")"`, token.start, token.end);
+    }
+    const joined = joinText(children);
+    return joined.length === 1 ? joined[0] : { type: "and", children: joined };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (token.type === "not") {
+      position += 1;
+      if (!peek() || ["close", "or", "and"].includes(peek().type)) {
+        throw queryError("Negation needs a term after it", token.start, token.end);
+      }
+      return { type: "not", child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = tokens[position];
+    position += 1;
+    if (token.type === "open") {
+      if (peek()?.type === "close") throw queryError("Empty parentheses", token.start, tokens[position].end);
+      const node = parseOr();
+      if (peek()?.type !== "close") throw queryError("Missing closing parenthesis", token.start, token.end);
+      position += 1;
+      return node;
+    }
+    if (token.type === "close") throw queryError(`Unexpected ")"`, token.start, token.end);
+    if (token.type === "field") return fieldNode(token);
+    return { type: "text", value: token.text };
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw queryError(token.type === "close" ? `Unexpected ")"` : "Unexpected input", token.start, token.end);
+  }
+  return ast;
+}
+
+// faction:"Celestial Wardens" power>=8 status:active -tag:villain (a | b)
+// Returns { ast } or, when the query doesn't parse, { error: { message, start, end } }
+// with the character range to point at.
+export function parseSearchQuery(input) {
+  const source = String(input || "");
+  if (!source.trim()) return { ast: null, error: null };
+  try {
+    return { ast: parseTokens(lex(source), source), error: null };
+  } catch (error) {
+    if (!error?.queryError) throw error;
+    return { ast: null, error: { message: error.message, start: error.start, end: Math.min(error.end, source.length) } };
+  }
+}
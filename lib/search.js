@@ -0,0 +1,194 @@
+import { normaliseArray } from "./characters";
+
+// Names outrank aliases, which outrank powers and affiliations; bios only
+// break ties between otherwise similar matches.
+const SEARCH_FIELDS = [
+  { key: "name", weight: 10, read: (char) => [char.name] },
+  { key: "alias", weight: 8, read: (char) => normaliseArray(char.alias) },
+  { key: "powers", weight: 5, read: (char) => (char.powers || []).map((power) => power?.name) },
+  { key: "faction", weight: 4, read: (char) => normaliseArray(char.faction) },
+  { key: "locations", weight: 3, read: (char) => normaliseArray(char.locations) },
+  { key: "tags", weight: 3, read: (char) => normaliseArray(char.tags) },
+  { key: "stories", weight: 2, read: (char) => normaliseArray(char.stories) },
+  { key: "profile", weight: 2, read: (char) => [char.gender, char.alignment, char.status, char.era] },
+  { key: "shortDesc", weight: 1.5, read: (char) => [char.shortDesc] },
+  { key: "longDesc", weight: 1, read: (char) => [char.longDesc] },
+  { key: "id", weight: 1, read: (char) => [char.id] },
+];
+
+export const SEARCH_FIELD_LABELS = {
+  name: "Name",
+  alias: "Alias",
+  powers: "Power",
+  faction: "Faction",
+  locations: "Location",
+  tags: "Tag",
+  stories: "Story",
+  profile: "Profile",
+  shortDesc: "Bio",
+  longDesc: "Bio",
+  id: "Id",
+};
+
+const EXACT = 1;
+const PREFIX = 0.75;
+const TYPO = 0.55;
+const TWO_TYPOS = 0.35;
+
+export const normaliseSearchText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+export const tokenize = (value) => normaliseSearchText(value).match(/[\p{L}\p{N}]+/gu) || [];
+
+// Short words must be spelled right; longer ones tolerate one or two slips.
+const allowedEdits = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+// Optimal string alignment distance, giving up once it exceeds `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      if (value < best) best = value;
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+export function createSearchIndex(characters) {
+  const docs = [];
+  const postings = new Map();
+  (characters || []).forEach((character) => {
+    if (!character) return;
+    const doc = docs.length;
+    docs.push(character);
+    SEARCH_FIELDS.forEach(({ key, weight, read }) => {
+      read(character)
+        .filter(Boolean)
+        .forEach((value) => {
+          tokenize(value).forEach((token) => {
+            let entry = postings.get(token);
+            if (!entry) {
+              entry = new Map();
+              postings.set(token, entry);
+            }
+            const current = entry.get(doc);
+            if (!current || current.weight < weight) entry.set(doc, { weight, field: key });
+          });
+        });
+    });
+  });
+  return { docs, postings, tokens: Array.from(postings.keys()), expansions: new Map() };
+}
+
+// Every indexed word a query term could mean, with how confident that reading is.
+function expandTerm(index, term) {
+  if (index.expansions.has(term)) return index.expansions.get(term);
+  const edits = allowedEdits(term);
+  const matches = [];
+  index.tokens.forEach((token) => {
+    if (token === term) {
+      matches.push({ token, quality: EXACT });
+    } else if (token.startsWith(term)) {
+      matches.push({ token, quality: PREFIX });
+    } else if (edits) {
+      const distance = editDistance(term, token, edits);
+      if (distance <= edits) {
+        matches.push({ token, quality: distance === 1 ? TYPO : TWO_TYPOS });
+      } else if (token.length > term.length && editDistance(term, token.slice(0, term.length), edits) <= edits) {
+        // A slip while still typing should still find the longer word.
+        matches.push({ token, quality: TWO_TYPOS });
+      }
+    }
+  });
+  if (index.expansions.size > 500) index.expansions.clear();
+  index.expansions.set(term, matches);
+  return matches;
+}
+
+// Characters matching every term of the query, best first. Each hit carries the
+// indexed words it matched (for highlighting) and its strongest field.
+export function searchCharacters(index, query) {
+  const terms = Array.from(new Set(tokenize(query)));
+  if (!index || !terms.length) return [];
+
+  let hits = null;
+  terms.forEach((term) => {
+    const best = new Map();
+    expandTerm(index, term).forEach(({ token, quality }) => {
+      index.postings.get(token).forEach(({ weight, field }, doc) => {
+        if (hits && !hits.has(doc)) return;
+        const score = weight * quality;
+        const current = best.get(doc);
+        if (!current) {
+          best.set(doc, { score, field, tokens: [token] });
+          return;
+        }
+        current.tokens.push(token);
+        if (score > current.score) {
+          current.score = score;
+          current.field = field;
+        }
+      });
+    });
+
+    const next = new Map();
+    best.forEach((match, doc) => {
+      const previous = hits?.get(doc);
+      next.set(doc, {
+        score: (previous?.score || 0) + match.score,
+        top: previous && previous.top.score >= match.score ? previous.top : match,
+        tokens: previous ? previous.tokens.concat(match.tokens) : match.tokens,
+      });
+    });
+    hits = next;
+  });
+
+  const phrase = terms.join(" ");
+  return Array.from(hits.entries())
+    .map(([doc, hit]) => {
+      const character = index.docs[doc];
+      const name = tokenize(character.name).join(" ");
+      const bonus = name === phrase ? 20 : name.startsWith(phrase) ? 10 : name.includes(phrase) ? 5 : 0;
+      return {
+        id: character.id,
+        character,
+        score: hit.score + bonus,
+        field: hit.top.field,
+        terms: Array.from(new Set(hit.tokens)),
+      };
+    })
+    .sort((a, b) => b.score - a.score || String(a.character.name).localeCompare(String(b.character.name)));
+}
+
+// Splits text into plain and matched runs so callers can wrap the matches.
+export function highlightSegments(text, terms) {
+  const source = String(text ?? "");
+  const wanted = new Set(terms || []);
+  if (!source || !wanted.size) return source ? [{ text: source, match: false }] : [];
+  const segments = [];
+  let last = 0;
+  for (const word of source.matchAll(/[\p{L}\p{M}\p{N}]+/gu)) {
+    if (!wanted.has(tokenize(word[0]).join(""))) continue;
+    if (word.index > last) segments.push({ text: source.slice(last, word.index), match: false });
+    segments.push({ text: word[0], match: true });
+    last = word.index + word[0].length;
+  }
+  if (last < source.length) segments.push({ text: source.slice(last), match: false });
+  return segments;
+}
@@ -0,0 +1,68 @@
+import { createBattleSeed, duel } from "./battle";
+
+export const SIMULATION_RUNS = 1000;
+export const MATRIX_LIMIT = 12;
+
+const average = (total, runs) => Math.round((total / runs) * 10) / 10;
+
+// Runs the same duel many times with derived seeds. A single fight is mostly
+// luck; the spread over a thousand says who actually has the edge.
+export function simulateMatchup(a, b, { runs = SIMULATION_RUNS, seed = createBattleSeed() } = {}) {
+  const totals = { winsA: 0, healthA: 0, healthB: 0, swingsA: 0, swingsB: 0, strikeA: 0, strikeB: 0, swings: 0 };
+  for (let i = 0; i < runs; i += 1) {
+    const fight = duel(a, b, `${seed}-${i}`);
+    if (fight.winner === a) totals.winsA += 1;
+    totals.healthA += fight.h1;
+    totals.healthB += fight.h2;
+    fight.logs.forEach((swing) => {
+      totals.swings += 1;
+      totals.strikeA += swing.offensive1;
+      totals.strikeB += swing.offensive2;
+      if (swing.dmg1 > swing.dmg2) totals.swingsA += 1;
+      else if (swing.dmg2 > swing.dmg1) totals.swingsB += 1;
+    });
+  }
+  const swingsPerFight = Math.max(1, totals.swings);
+  return {
+    a: a.id,
+    b: b.id,
+    seed,
+    runs,
+    winsA: totals.winsA,
+    winsB: runs - totals.winsA,
+    winRateA: totals.winsA / runs,
+    winRateB: (runs - totals.winsA) / runs,
+    avgHealthA: average(totals.healthA, runs),
+    avgHealthB: average(totals.healthB, runs),
+    avgSwingsWonA: average(totals.swingsA, runs),
+    avgSwingsWonB: average(totals.swingsB, runs),
+    avgStrikeA: average(totals.strikeA, swingsPerFight),
+    avgStrikeB: average(totals.strikeB, swingsPerFight),
+  };
+}
+
+// Every pairing among up to MATRIX_LIMIT characters. `cells[a][b]` is the
+// chance that a beats b.
+export function simulateMatrix(characters, { runs = SIMULATION_RUNS, seed = createBattleSeed(), onProgress } = {}) {
+  const roster = characters.slice(0, MATRIX_LIMIT);
+  const cells = Object.fromEntries(roster.map((char) => [char.id, {}]));
+  const matchups = [];
+  const total = (roster.length * (roster.length - 1)) / 2;
+  roster.forEach((a, i) => {
+    roster.slice(i + 1).forEach((b) => {
+      const result = simulateMatchup(a, b, { runs, seed: `${seed}-${a.id}-${b.id}` });
+      cells[a.id][b.id] = result.winRateA;
+      cells[b.id][a.id] = result.winRateB;
+      matchups.push(result);
+      onProgress?.(matchups.length, total);
+    });
+  });
+  const standings = roster
+    .map((char) => {
+      const rates = Object.values(cells[char.id]);
+      const overall = rates.length ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 0;
+      return { id: char.id, name: char.name, overall };
+    })
+    .sort((x, y) => y.overall - x.overall);
+  return { seed, runs, ids: roster.map((char) => char.id), cells, matchups, standings };
+}
@@ -0,0 +1,25 @@
+import { simulateMatchup, simulateMatrix } from "./simulation";
+
+// Batch simulations run here so a thousand-fight run never blocks the arena UI.
+// Messages: { id, type: "matchup", characters: [a, b], runs, seed } or
+// { id, type: "matrix", characters, runs, seed }.
+self.onmessage = ({ data }) => {
+  const { id, type, characters, runs, seed } = data || {};
+  try {
+    let result;
+    if (type === "matchup") {
+      result = simulateMatchup(characters[0], characters[1], { runs, seed });
+    } else if (type === "matrix") {
+      result = simulateMatrix(characters, {
+        runs,
+        seed,
+        onProgress: (done, total) => self.postMessage({ id, type: "progress", done, total }),
+      });
+    } else {
+      throw new Error(`Unknown simulation "${type}"`);
+    }
+    self.postMessage({ id, type: "result", result });
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
@@ -0,0 +1,225 @@
+// Character source adapters. Every adapter resolves to a `{ headers, rows }` table
+// that `parseCharacterTable` in lib/characters.js normalises, so switching the
+// source never changes the shape of the roster the pages receive. Adapters that
+// try several candidates run the `parse` option on each and move on when it throws.
+//
+//   LOREMAKER_SOURCE        gviz (default) | sheet-csv | csv | json
+//   LOREMAKER_SOURCE_PATH   local file for the csv and json adapters
+//   LOREMAKER_SOURCE_URL    published CSV link for the sheet-csv adapter
+
+import { readTextFile } from "./file-store";
+
+const FALLBACK_SHEET_NAMES = ["Sheet1", "Characters"];
+const DEFAULT_SHEET_ID = "1nbAsU-zNe4HbM0bBLlYofi1pHhneEjEIWfW22JODBeM";
+
+export const MISSING_SHEET_ID_CODE = "MISSING_SHEET_ID";
+export const MISSING_SOURCE_CONFIG_CODE = "MISSING_SOURCE_CONFIG";
+
+function configError(message, code = MISSING_SOURCE_CONFIG_CODE) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = (text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function csvToTable(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  return { headers: headers.map((h) => h.trim()), rows };
+}
+
+function formatJsonCell(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return value.map(formatJsonCell).filter(Boolean).join(", ");
+  if (typeof value === "object") {
+    if (!value.name) return "";
+    return Number.isFinite(Number(value.level)) ? `${value.name}: ${value.level}` : value.name;
+  }
+  return String(value);
+}
+
+function recordsToTable(records) {
+  const headers = [];
+  const seen = new Set();
+  const addHeader = (header) => {
+    if (seen.has(header)) return;
+    seen.add(header);
+    headers.push(header);
+  };
+  const flattened = records.map((record) => {
+    const entry = {};
+    Object.entries(record || {}).forEach(([key, value]) => {
+      if (key === "gallery" && Array.isArray(value)) {
+        value.forEach((url, index) => {
+          entry[`gallery ${index + 1}`] = formatJsonCell(url);
+        });
+        return;
+      }
+      entry[key] = formatJsonCell(value);
+    });
+    Object.keys(entry).forEach(addHeader);
+    return entry;
+  });
+  return { headers, rows: flattened.map((entry) => headers.map((header) => entry[header] ?? "")) };
+}
+
+export function jsonToTable(payload) {
+  if (payload && Array.isArray(payload.headers) && Array.isArray(payload.rows)) {
+    return { headers: payload.headers, rows: payload.rows };
+  }
+  const records = Array.isArray(payload)
+    ? payload
+    : Array.isArray(payload?.data)
+      ? payload.data
+      : Array.isArray(payload?.records)
+        ? payload.records.map((record) => record?.fields || record)
+        : null;
+  if (!records) throw new Error("JSON source must be an array of characters or rows");
+  return recordsToTable(records);
+}
+
+export function parseGViz(text) {
+  const match = text.match(/google\.visualization\.Query\.setResponse\((.*)\);?$/s);
+  if (!match) throw new Error("GViz format not recognised");
+  return JSON.parse(match[1]);
+}
+
+function gvizToTable(response) {
+  const headers = (response.table.cols || []).map((col) => (col?.label || col?.id || "").trim());
+  const rows = (response.table.rows || []).map((row) => row?.c || []);
+  return { headers, rows };
+}
+
+function gvizUrl(sheetId, sheetName) {
+  const base = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json`;
+  return sheetName ? `${base}&sheet=${encodeURIComponent(sheetName)}` : base;
+}
+
+const gvizAdapter = {
+  name: "gviz",
+  label: "Google Sheets",
+  async load({ parse } = {}) {
+    const sheetId =
+      process.env.LOREMAKER_SHEET_ID || process.env.NEXT_PUBLIC_LOREMAKER_SHEET_ID || DEFAULT_SHEET_ID;
+    if (!sheetId) {
+      throw configError("Google Sheets configuration missing", MISSING_SHEET_ID_CODE);
+    }
+    if (!process.env.LOREMAKER_SHEET_ID && process.env.NEXT_PUBLIC_LOREMAKER_SHEET_ID) {
+      console.warn(
+        "[characters] Using NEXT_PUBLIC_LOREMAKER_SHEET_ID; please migrate to a server-side LOREMAKER_SHEET_ID environment variable."
+      );
+    }
+    const configuredSheet = process.env.LOREMAKER_SHEET_TAB;
+    const sheetNames = Array.from(
+      new Set([
+        configuredSheet && configuredSheet.trim(),
+        "Characters",
+        ...FALLBACK_SHEET_NAMES,
+        undefined,
+      ].filter((name) => name !== ""))
+    );
+
+    let lastError;
+    for (const name of sheetNames) {
+      try {
+        const res = await fetch(gvizUrl(sheetId, name));
+        if (!res.ok) throw new Error(`Google Sheets request failed (${res.status})`);
+        const table = gvizToTable(parseGViz(await res.text()));
+        parse?.(table);
+        return table;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  },
+};
+
+const sheetCsvAdapter = {
+  name: "sheet-csv",
+  label: "published sheet CSV",
+  async load() {
+    const url = process.env.LOREMAKER_SOURCE_URL;
+    if (!url) throw configError("LOREMAKER_SOURCE_URL is required for the sheet-csv source");
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Published sheet request failed (${res.status})`);
+    return csvToTable(await res.text());
+  },
+};
+
+const csvFileAdapter = {
+  name: "csv",
+  label: "local CSV file",
+  async load() {
+    const filePath = process.env.LOREMAKER_SOURCE_PATH;
+    if (!filePath) throw configError("LOREMAKER_SOURCE_PATH is required for the csv source");
+    return csvToTable(await readTextFile(filePath));
+  },
+};
+
+const jsonFileAdapter = {
+  name: "json",
+  label: "local JSON file",
+  async load() {
+    const filePath = process.env.LOREMAKER_SOURCE_PATH;
+    if (!filePath) throw configError("LOREMAKER_SOURCE_PATH is required for the json source");
+    return jsonToTable(JSON.parse(await readTextFile(filePath)));
+  },
+};
+
+export const SOURCE_ADAPTERS = {
+  [gvizAdapter.name]: gvizAdapter,
+  [sheetCsvAdapter.name]: sheetCsvAdapter,
+  [csvFileAdapter.name]: csvFileAdapter,
+  [jsonFileAdapter.name]: jsonFileAdapter,
+};
+
+export function resolveSourceAdapter(name = process.env.LOREMAKER_SOURCE) {
+  const key = (name || gvizAdapter.name).trim().toLowerCase();
+  const adapter = SOURCE_ADAPTERS[key];
+  if (!adapter) {
+    throw configError(
+      `Unknown character source "${name}". Expected one of: ${Object.keys(SOURCE_ADAPTERS).join(", ")}`
+    );
+  }
+  return adapter;
+}
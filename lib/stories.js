@@ -0,0 +1,41 @@
+import { groupCharactersBy, normaliseArray, tallyValues, toSlug } from "./characters";
+import { summariseCharacter } from "./relations";
+
+// A character debuts in a story when their first appearance names it; rows
+// without a first appearance fall back to the first story they are listed in.
+function debutsIn(char, storyName) {
+  const first = (char.firstAppearance || "").trim() || normaliseArray(char.stories)[0] || "";
+  return first.toLowerCase() === storyName.toLowerCase();
+}
+
+export function storySlug(name) {
+  return toSlug(name);
+}
+
+export function collectStories(characters) {
+  return groupCharactersBy(characters, (char) => char.stories);
+}
+
+export function buildStory(story) {
+  const cast = [...story.members].sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    slug: story.slug,
+    name: story.name,
+    cast: cast.map((char) => ({
+      ...summariseCharacter(char),
+      faction: normaliseArray(char.faction),
+      era: char.era || null,
+      debut: debutsIn(char, story.name),
+    })),
+    debuts: cast.filter((char) => debutsIn(char, story.name)).map(summariseCharacter),
+    factions: tallyValues(cast.flatMap((char) => normaliseArray(char.faction))),
+    locations: tallyValues(cast.flatMap((char) => normaliseArray(char.locations))),
+    eras: tallyValues(cast.map((char) => char.era).filter(Boolean)),
+  };
+}
+
+export function findStory(characters, slug) {
+  if (!slug) return null;
+  const story = collectStories(characters).find((entry) => entry.slug === slug);
+  return story ? buildStory(story) : null;
+}
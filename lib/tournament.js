@@ -0,0 +1,158 @@
+import { computeBattleTimeline, createBattleSeed, scoreCharacter } from "./battle";
+import { BATTLE_RULES } from "./battle-rules";
+
+export const TOURNAMENT_FORMATS = {
+  single: { label: "Single elimination", sizes: [4, 8, 16, 32] },
+  robin: { label: "Round robin", sizes: [4, 6, 8, 12] },
+};
+
+export function seedEntrants(characters, limit) {
+  return (characters || [])
+    .filter((char) => char && char.id)
+    .map((char) => ({ char, score: scoreCharacter(char) }))
+    .sort((a, b) => b.score - a.score || a.char.name.localeCompare(b.char.name))
+    .slice(0, limit)
+    .map((entry, index) => ({ ...entry, seed: index + 1 }));
+}
+
+// Standard bracket order keeps the top seeds apart until the late rounds:
+// 1 plays the lowest seed, 2 the second lowest, and 1 and 2 can only meet in the final.
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, total - seed]);
+  }
+  return order;
+}
+
+function entrantSummary(entry) {
+  if (!entry) return null;
+  return { id: entry.char.id, name: entry.char.name, seed: entry.seed, score: entry.score };
+}
+
+function playMatch(a, b, seed) {
+  if (!a || !b) {
+    return { winner: a || b, loser: null, bye: true };
+  }
+  const battle = computeBattleTimeline(a.char, b.char, { seed });
+  const aWon = battle.winner.id === a.char.id;
+  return {
+    winner: aWon ? a : b,
+    loser: aWon ? b : a,
+    bye: false,
+    healthA: battle.finalHealthA,
+    healthB: battle.finalHealthB,
+  };
+}
+
+function toMatch(round, index, a, b, seed, played) {
+  return {
+    id: `r${round}m${index + 1}`,
+    round,
+    seed,
+    a: entrantSummary(a),
+    b: entrantSummary(b),
+    winner: played.winner?.char.id || null,
+    bye: played.bye,
+    healthA: played.healthA ?? null,
+    healthB: played.healthB ?? null,
+  };
+}
+
+function roundName(round, totalRounds) {
+  const remaining = totalRounds - round;
+  if (remaining === 0) return "Final";
+  if (remaining === 1) return "Semi-finals";
+  if (remaining === 2) return "Quarter-finals";
+  return `Round ${round}`;
+}
+
+export function runSingleElimination(entrants, seed) {
+  let size = 2;
+  while (size < entrants.length) size *= 2;
+  const bySeed = new Map(entrants.map((entry) => [entry.seed, entry]));
+  let field = bracketOrder(size).map((seedNumber) => bySeed.get(seedNumber) || null);
+  const totalRounds = Math.log2(size);
+  const rounds = [];
+
+  for (let round = 1; field.length > 1; round += 1) {
+    const matches = [];
+    const next = [];
+    for (let i = 0; i < field.length; i += 2) {
+      const matchSeed = `${seed}-r${round}m${i / 2 + 1}`;
+      const played = playMatch(field[i], field[i + 1], matchSeed);
+      matches.push(toMatch(round, i / 2, field[i], field[i + 1], matchSeed, played));
+      next.push(played.winner);
+    }
+    rounds.push({ round, name: roundName(round, totalRounds), matches });
+    field = next;
+  }
+
+  return { rounds, champion: entrantSummary(field[0]) };
+}
+
+export function runRoundRobin(entrants, seed) {
+  const table = new Map(
+    entrants.map((entry) => [entry.char.id, { ...entrantSummary(entry), wins: 0, losses: 0, healthDiff: 0 }])
+  );
+  const matches = [];
+  for (let i = 0; i < entrants.length; i += 1) {
+    for (let j = i + 1; j < entrants.length; j += 1) {
+      const a = entrants[i];
+      const b = entrants[j];
+      const matchSeed = `${seed}-${a.seed}v${b.seed}`;
+      const played = playMatch(a, b, matchSeed);
+      matches.push(toMatch(1, matches.length, a, b, matchSeed, played));
+      const winnerRow = table.get(played.winner.char.id);
+      const loserRow = table.get(played.loser.char.id);
+      const margin = Math.abs(played.healthA - played.healthB);
+      winnerRow.wins += 1;
+      winnerRow.healthDiff += margin;
+      loserRow.losses += 1;
+      loserRow.healthDiff -= margin;
+    }
+  }
+  const standings = Array.from(table.values()).sort(
+    (a, b) => b.wins - a.wins || b.healthDiff - a.healthDiff || a.seed - b.seed
+  );
+  return { matches, standings, champion: standings[0] || null };
+}
+
+export function runTournament(characters, { format = "single", size = 8, seed = createBattleSeed() } = {}) {
+  const entrants = seedEntrants(characters, size);
+  if (entrants.length < 2) {
+    throw new Error("A tournament needs at least two characters");
+  }
+  const base = { format, seed, rulesVersion: BATTLE_RULES.version, entrants: entrants.map(entrantSummary) };
+  return format === "robin"
+    ? { ...base, ...runRoundRobin(entrants, seed) }
+    : { ...base, ...runSingleElimination(entrants, seed) };
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function tournamentToCsv(result) {
+  const matches = result.rounds ? result.rounds.flatMap((round) => round.matches) : result.matches;
+  const nameOf = (id) => result.entrants.find((entry) => entry.id === id)?.name || "";
+  const rows = [
+    ["match", "round", "seed_a", "name_a", "seed_b", "name_b", "winner", "health_a", "health_b", "battle_seed", "rules_version"],
+    ...matches.map((match) => [
+      match.id,
+      match.round,
+      match.a?.seed,
+      match.a?.name,
+      match.b?.seed,
+      match.b?.name,
+      nameOf(match.winner),
+      match.healthA,
+      match.healthB,
+      match.bye ? "bye" : match.seed,
+      result.rulesVersion,
+    ]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\n");
+}
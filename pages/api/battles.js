@@ -0,0 +1,38 @@
+import {
+  appendBattleRecord,
+  computeLedger,
+  historyFor,
+  historySyncEnabled,
+  readBattleHistory,
+  validateBattleRecord,
+} from "../../lib/battle-history";
+
+export default async function handler(req, res) {
+  if (!historySyncEnabled()) {
+    return res.status(404).json({ error: "Battle history sync is not enabled" });
+  }
+  if (req.method !== "GET" && req.method !== "POST") {
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    res.setHeader("Cache-Control", "no-store");
+    if (req.method === "POST") {
+      const problem = validateBattleRecord(req.body);
+      if (problem) {
+        return res.status(400).json({ error: problem });
+      }
+      const history = await appendBattleRecord(req.body);
+      return res.status(201).json({ id: req.body.id, total: history.length });
+    }
+
+    const history = await readBattleHistory();
+    const character = typeof req.query.character === "string" ? req.query.character : null;
+    const records = character ? historyFor(history, character) : history;
+    res.status(200).json({ data: records, ledger: computeLedger(history), total: records.length });
+  } catch (error) {
+    console.error("[battles] Failed to read or write battle history", error);
+    res.status(500).json({ error: "Battle history is unavailable" });
+  }
+}
@@ -1,4 +1,13 @@
-import { fetchCharactersFromSheets, isCharactersConfigError, publicCharactersError } from "../../lib/characters";
+import {
+  characterCacheHeaders,
+  fetchCharactersFromSheets,
+  getCharacterCacheStatus,
+  isCharactersConfigError,
+  publicCharactersError,
+  seededRandom,
+  todayKey,
+} from "../../lib/characters";
+import { parseCharacterQuery, queryCharacters } from "../../lib/filters";
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -6,10 +15,22 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Method not allowed" });
   }
 
+  const params = parseCharacterQuery(req.query);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
   try {
     const force = req.query.force === "1" || req.query.force === "true";
-    const data = await fetchCharactersFromSheets({ force });
-    res.status(200).json({ data, fetchedAt: new Date().toISOString() });
+    const characters = await fetchCharactersFromSheets({ force });
+    Object.entries(characterCacheHeaders()).forEach(([name, value]) => res.setHeader(name, value));
+    const random = seededRandom(`api|${params.seed || todayKey()}`);
+    const { data, total, nextCursor } = queryCharacters(characters, { ...params, random });
+    const { fetchedAt, state } = getCharacterCacheStatus();
+    // fallback: the source is unreachable and this is the bundled sample roster.
+    const body = { data, total, nextCursor, fetchedAt, fallback: state === "fallback" };
+    if (params.queryError) body.queryError = params.queryError;
+    res.status(200).json(body);
   } catch (error) {
     const status = isCharactersConfigError(error) ? 503 : 500;
     res.status(status).json({ error: publicCharactersError(error) });
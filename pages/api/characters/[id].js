@@ -0,0 +1,31 @@
+import {
+  characterCacheHeaders,
+  fetchCharactersFromSheets,
+  findCharacter,
+  getCharacterCacheStatus,
+  isCharactersConfigError,
+  publicCharactersError,
+} from "../../../lib/characters";
+import { computeRelations } from "../../../lib/relations";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const force = req.query.force === "1" || req.query.force === "true";
+    const characters = await fetchCharactersFromSheets({ force });
+    Object.entries(characterCacheHeaders()).forEach(([name, value]) => res.setHeader(name, value));
+    const character = findCharacter(characters, req.query.id);
+    if (!character) {
+      return res.status(404).json({ error: publicCharactersError(`No character found for "${req.query.id}"`) });
+    }
+    const related = computeRelations(character, characters);
+    res.status(200).json({ data: character, related, fetchedAt: getCharacterCacheStatus().fetchedAt });
+  } catch (error) {
+    const status = isCharactersConfigError(error) ? 503 : 500;
+    res.status(status).json({ error: publicCharactersError(error) });
+  }
+}
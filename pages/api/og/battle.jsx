@@ -0,0 +1,126 @@
+import { fetchCharactersFromSheets, isDayKey } from "../../../lib/characters";
+import { buildBattleCard } from "../../../lib/battle-card";
+import { OG_SIZE, initials, loadImageDataUrl, sendImage } from "../../../lib/og";
+
+function healthColour(value) {
+  if (value > 60) return "#34d399";
+  if (value > 30) return "#fbbf24";
+  return "#f87171";
+}
+
+function Combatant({ combatant, portrait, isWinner }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexDirection: "column",
+        width: 470,
+        padding: 28,
+        borderRadius: 32,
+        border: isWinner ? "4px solid #fcd34d" : "2px solid rgba(255,255,255,0.18)",
+        background: "rgba(0,0,0,0.45)",
+      }}
+    >
+      {portrait ? (
+        <img src={portrait} width={414} height={230} style={{ borderRadius: 20, objectFit: "cover" }} />
+      ) : (
+        <div
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            width: 414,
+            height: 230,
+            borderRadius: 20,
+            background: "linear-gradient(135deg, #312e81, #7c2d12)",
+            fontSize: 96,
+            fontWeight: 800,
+          }}
+        >
+          {initials(combatant.name)}
+        </div>
+      )}
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 20 }}>
+        <div style={{ display: "flex", fontSize: 40, fontWeight: 800, maxWidth: 300 }}>{combatant.name}</div>
+        {isWinner && (
+          <div
+            style={{
+              display: "flex",
+              padding: "6px 16px",
+              borderRadius: 999,
+              background: "#fcd34d",
+              color: "#000",
+              fontSize: 22,
+              fontWeight: 800,
+            }}
+          >
+            WINNER
+          </div>
+        )}
+      </div>
+      <div style={{ display: "flex", marginTop: 16, fontSize: 24, color: "rgba(255,255,255,0.7)" }}>
+        {`Final health ${combatant.finalHealth}%`}
+      </div>
+      <div style={{ display: "flex", marginTop: 10, width: 414, height: 18, borderRadius: 999, background: "rgba(255,255,255,0.12)" }}>
+        <div
+          style={{
+            display: "flex",
+            width: `${combatant.finalHealth}%`,
+            height: 18,
+            borderRadius: 999,
+            background: healthColour(combatant.finalHealth),
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const matchup = Array.isArray(req.query.matchup) ? req.query.matchup[0] : req.query.matchup;
+  const seed = Array.isArray(req.query.seed) ? req.query.seed[0] : req.query.seed;
+  const day = Array.isArray(req.query.day) ? req.query.day[0] : req.query.day;
+  try {
+    const card = buildBattleCard(await fetchCharactersFromSheets(), {
+      matchup,
+      seed: seed && String(seed),
+      day: isDayKey(day) ? day : null,
+    });
+    if (!card) {
+      return res.status(404).json({ error: "No battle found for that matchup, seed and day" });
+    }
+    const portraits = await Promise.all(card.combatants.map((combatant) => loadImageDataUrl(combatant.cover)));
+    await sendImage(
+      res,
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          width: OG_SIZE.width,
+          height: OG_SIZE.height,
+          padding: "36px 48px",
+          color: "#fff",
+          background: "linear-gradient(135deg, #050813 0%, #1e1b4b 55%, #451a03 100%)",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 22, letterSpacing: 6, color: "rgba(255,255,255,0.7)" }}>
+          <span>LOREMAKER ARENA</span>
+          <span>{`SEED ${card.seed.toUpperCase()} · ${card.day}`}</span>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginTop: 24 }}>
+          <Combatant combatant={card.combatants[0]} portrait={portraits[0]} isWinner={card.winner === card.combatants[0].id} />
+          <div style={{ display: "flex", fontSize: 56, fontWeight: 800, color: "#fcd34d" }}>VS</div>
+          <Combatant combatant={card.combatants[1]} portrait={portraits[1]} isWinner={card.winner === card.combatants[1].id} />
+        </div>
+      </div>
+    );
+  } catch (error) {
+    console.error("[og] Failed to render battle card", error);
+    res.status(500).json({ error: "Could not render battle image" });
+  }
+}
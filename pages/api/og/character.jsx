@@ -0,0 +1,136 @@
+import { fetchCharactersFromSheets, findCharacter, normaliseArray } from "../../../lib/characters";
+import { OG_SIZE, initials, loadImageDataUrl, sendImage } from "../../../lib/og";
+
+const STATUS_COLOURS = {
+  active: "#34d399",
+  eternal: "#fcd34d",
+  roving: "#38bdf8",
+  missing: "#fb923c",
+  deceased: "#f87171",
+};
+
+function topPowers(character, limit = 3) {
+  return (Array.isArray(character.powers) ? character.powers : [])
+    .filter((power) => power?.name)
+    .sort((a, b) => (Number(b.level) || 0) - (Number(a.level) || 0))
+    .slice(0, limit);
+}
+
+function Chip({ children, colour = "rgba(255,255,255,0.3)" }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        padding: "6px 18px",
+        borderRadius: 999,
+        border: `2px solid ${colour}`,
+        color: colour,
+        fontSize: 22,
+        fontWeight: 700,
+      }}
+    >
+      {children}
+    </div>
+  );
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const id = Array.isArray(req.query.id) ? req.query.id[0] : req.query.id;
+  try {
+    const character = findCharacter(await fetchCharactersFromSheets(), id);
+    if (!character) {
+      return res.status(404).json({ error: "Character not found" });
+    }
+    const aliases = normaliseArray(character.alias);
+    const factions = normaliseArray(character.faction);
+    const powers = topPowers(character);
+    const status = character.status ? String(character.status) : null;
+    const portrait = await loadImageDataUrl(character.cover || character.gallery?.[0]);
+
+    await sendImage(
+      res,
+      <div
+        style={{
+          display: "flex",
+          width: OG_SIZE.width,
+          height: OG_SIZE.height,
+          padding: 48,
+          color: "#fff",
+          background: "linear-gradient(135deg, #050813 0%, #1e1b4b 60%, #451a03 100%)",
+        }}
+      >
+        {portrait ? (
+          <img src={portrait} width={380} height={534} style={{ borderRadius: 28, objectFit: "cover" }} />
+        ) : (
+          <div
+            style={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              width: 380,
+              height: 534,
+              borderRadius: 28,
+              background: "linear-gradient(160deg, #312e81, #7c2d12)",
+              fontSize: 140,
+              fontWeight: 800,
+            }}
+          >
+            {initials(character.name)}
+          </div>
+        )}
+        <div style={{ display: "flex", flexDirection: "column", flex: 1, marginLeft: 48 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <div style={{ display: "flex", fontSize: 22, letterSpacing: 6, color: "rgba(255,255,255,0.7)" }}>
+              LOREMAKER PROFILE
+            </div>
+            {status && <Chip colour={STATUS_COLOURS[status.toLowerCase()] || "#e2e8f0"}>{status.toUpperCase()}</Chip>}
+          </div>
+          <div style={{ display: "flex", marginTop: 28, fontSize: character.name.length > 18 ? 60 : 76, fontWeight: 800, lineHeight: 1.05 }}>
+            {character.name}
+          </div>
+          {aliases.length > 0 && (
+            <div style={{ display: "flex", marginTop: 12, fontSize: 30, color: "rgba(255,255,255,0.75)" }}>
+              {`aka ${aliases.slice(0, 2).join(", ")}`}
+            </div>
+          )}
+          {factions.length > 0 && (
+            <div style={{ display: "flex", flexWrap: "wrap", marginTop: 24, gap: 12 }}>
+              {factions.slice(0, 3).map((faction) => (
+                <Chip key={faction}>{faction}</Chip>
+              ))}
+            </div>
+          )}
+          <div style={{ display: "flex", flexDirection: "column", marginTop: "auto", gap: 14 }}>
+            {powers.map((power) => (
+              <div key={power.name} style={{ display: "flex", alignItems: "center" }}>
+                <div style={{ display: "flex", width: 300, flexShrink: 0, fontSize: 26, fontWeight: 700 }}>{power.name}</div>
+                <div style={{ display: "flex", width: 300, flexShrink: 0, height: 16, borderRadius: 999, background: "rgba(255,255,255,0.12)" }}>
+                  <div
+                    style={{
+                      display: "flex",
+                      width: `${Math.min(10, Number(power.level) || 0) * 10}%`,
+                      height: 16,
+                      borderRadius: 999,
+                      background: "linear-gradient(90deg, #fcd34d, #f97316)",
+                    }}
+                  />
+                </div>
+                <div style={{ display: "flex", marginLeft: 16, fontSize: 24, color: "rgba(255,255,255,0.7)" }}>
+                  {`${Number(power.level) || 0}/10`}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  } catch (error) {
+    console.error("[og] Failed to render character card", error);
+    res.status(500).json({ error: "Could not render character image" });
+  }
+}
@@ -0,0 +1,23 @@
+import { validateBattleRules } from "../../lib/battle-rules";
+import { isCharactersConfigError, publicCharactersError, validateCharacterSource } from "../../lib/characters";
+import battleRules from "../../data/battle-rules.json";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const report = await validateCharacterSource();
+    res.setHeader("Cache-Control", "no-store");
+    res.status(200).json({
+      ...report,
+      battleRules: validateBattleRules(battleRules),
+      checkedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    const status = isCharactersConfigError(error) ? 503 : 500;
+    res.status(status).json({ error: publicCharactersError(error) });
+  }
+}
@@ -0,0 +1,200 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets, isDayKey, todayKey } from "../../lib/characters";
+import { battlePath, battleQueryString, createBattleSeed, parseBattleMatchup } from "../../lib/battle";
+import { buildBattleCard } from "../../lib/battle-card";
+
+function HealthBar({ value }) {
+  const tone = value > 60 ? "from-emerald-300 to-emerald-500" : value > 30 ? "from-amber-300 to-amber-500" : "from-rose-400 to-red-500";
+  return (
+    <div className="h-3 w-full overflow-hidden rounded-full bg-white/10">
+      <div className={`h-full bg-gradient-to-r ${tone}`} style={{ width: `${value}%` }} />
+    </div>
+  );
+}
+
+function CombatantPanel({ combatant, isWinner }) {
+  return (
+    <div
+      className={`flex flex-col gap-4 rounded-3xl border bg-black/40 p-6 ${
+        isWinner ? "border-amber-300/80 shadow-[0_0_60px_rgba(251,191,36,0.25)]" : "border-white/15"
+      }`}
+    >
+      {combatant.cover ? (
+        <img
+          src={combatant.cover}
+          alt={`${combatant.name} portrait from the LoreMaker Universe`}
+          className="h-64 w-full rounded-2xl border border-white/15 object-cover"
+          referrerPolicy="no-referrer"
+          crossOrigin="anonymous"
+          decoding="async"
+        />
+      ) : (
+        <div className="flex h-64 items-center justify-center rounded-2xl border border-dashed border-white/20 bg-white/10 text-lg font-black text-white/70">
+          {combatant.name}
+        </div>
+      )}
+      <div className="flex items-center justify-between gap-3">
+        <Link href={`/characters/${combatant.id}`} className="text-2xl font-black text-white hover:underline">
+          {combatant.name}
+        </Link>
+        {isWinner && (
+          <span className="rounded-full bg-amber-300 px-3 py-1 text-xs font-black uppercase tracking-[0.2em] text-black">
+            Winner
+          </span>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2 text-xs font-semibold text-white/70">
+        <span className="rounded-full border border-white/20 px-3 py-1">{combatant.origin}</span>
+        <span className="rounded-full border border-white/20 px-3 py-1">Power {combatant.score}</span>
+      </div>
+      <div>
+        <p className="mb-2 text-xs uppercase tracking-[0.35em] text-white/60">Final health {combatant.finalHealth}%</p>
+        <HealthBar value={combatant.finalHealth} />
+      </div>
+    </div>
+  );
+}
+
+function BattleResultPage({ card, siteUrl }) {
+  const [left, right] = card.combatants;
+  const winner = card.combatants.find((combatant) => combatant.id === card.winner);
+  const loser = card.combatants.find((combatant) => combatant.id !== card.winner);
+  const canonicalUrl = `${siteUrl}${battlePath({ left: left.id, right: right.id, seed: card.seed, day: card.day })}`;
+  const ogImage = `${siteUrl}/api/og/battle?matchup=${encodeURIComponent(`${left.id}-vs-${right.id}`)}&seed=${encodeURIComponent(
+    card.seed
+  )}&day=${encodeURIComponent(card.day)}`;
+  const metaTitle = `${left.name} vs ${right.name} | LoreMaker Arena`;
+  const description = `${winner.name} defeated ${loser.name} with ${winner.finalHealth}% health left to ${loser.finalHealth}% in a seeded LoreMaker Arena duel (seed ${card.seed}).`;
+  const replayHref = `/?${battleQueryString({ left: left.id, right: right.id, seed: card.seed, day: card.day })}`;
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "Event",
+        name: `${left.name} vs ${right.name}`,
+        description,
+        url: canonicalUrl,
+        image: ogImage,
+        eventStatus: "https://schema.org/EventScheduled",
+        performer: card.combatants.map((combatant) => ({
+          "@type": "FictionalCharacter",
+          name: combatant.name,
+          url: `${siteUrl}/characters/${combatant.id}`,
+        })),
+      }),
+    [canonicalUrl, card.combatants, description, left.name, ogImage, right.name, siteUrl]
+  );
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta name="robots" content="noindex,follow" />
+        <meta property="og:type" content="article" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        <meta property="og:image" content={ogImage} />
+        <meta property="og:image:width" content="1200" />
+        <meta property="og:image:height" content="630" />
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        <meta name="twitter:image" content={ogImage} />
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Arena Result</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">
+              {left.name} vs {right.name}
+            </h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href={replayHref}
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                Replay in the arena
+              </Link>
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Codex home
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="grid gap-6 md:grid-cols-2">
+            <CombatantPanel combatant={left} isWinner={card.winner === left.id} />
+            <CombatantPanel combatant={right} isWinner={card.winner === right.id} />
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Battle Flow</h2>
+            <ol className="mt-6 grid gap-4 md:grid-cols-3">
+              {card.timeline.map((phase) => (
+                <li key={phase.round} className="rounded-2xl border border-white/15 bg-black/40 p-4 text-sm text-white/80">
+                  <p className="text-xs uppercase tracking-[0.35em] text-white/60">Round {phase.round}</p>
+                  <dl className="mt-3 grid grid-cols-2 gap-x-3 gap-y-1">
+                    <dt className="font-bold text-white">{left.name}</dt>
+                    <dd className="text-right">
+                      {phase.strikeA} strike · {phase.healthA}%
+                    </dd>
+                    <dt className="font-bold text-white">{right.name}</dt>
+                    <dd className="text-right">
+                      {phase.strikeB} strike · {phase.healthB}%
+                    </dd>
+                  </dl>
+                  {phase.notes?.map((note) => (
+                    <p key={note} className="mt-2 rounded-lg bg-amber-400/10 px-2 py-1 text-xs font-semibold text-amber-200">
+                      {note}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ol>
+            <p className="mt-6 font-mono text-xs text-white/50">
+              Seed {card.seed} · Rules v{card.rulesVersion} · Power levels as rolled on {card.day}
+            </p>
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default BattleResultPage;
+
+export async function getServerSideProps({ params, query }) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const characters = await fetchCharactersFromSheets();
+  const seed = Array.isArray(query.seed) ? query.seed[0] : query.seed;
+  const day = Array.isArray(query.day) ? query.day[0] : query.day;
+
+  // A link without a seed or a day gets today's, so the address bar always
+  // points at one fixed fight.
+  if (!seed || !isDayKey(day)) {
+    const pair = parseBattleMatchup(params?.matchup, new Set(characters.map((char) => char.id)));
+    if (!pair) return { notFound: true };
+    const destination = battlePath({ ...pair, seed: seed ? String(seed) : createBattleSeed(), day: todayKey() });
+    return { redirect: { destination, permanent: false } };
+  }
+
+  const card = buildBattleCard(characters, { matchup: params?.matchup, seed: String(seed), day });
+  if (!card) {
+    return { notFound: true };
+  }
+  return { props: { card, siteUrl } };
+}
@@ -1,13 +1,23 @@
 import React, { useMemo } from "react";
 import Head from "next/head";
 import Link from "next/link";
+import { useRouter } from "next/router";
 import {
   fetchCharactersFromSheets,
+  findCharacter,
   publicCharactersError,
   fillDailyPowers,
   normaliseArray,
 } from "../../lib/characters";
+import { RELATIONSHIP_TYPES, buildRelationshipGraph } from "../../lib/relations";
+import { storySlug } from "../../lib/stories";
+import { factionSlug } from "../../lib/factions";
+import { locationSlug } from "../../lib/locations";
+import { powerSlug } from "../../lib/powers";
+import { ARENA_MODES, battleQueryString, teamBattleQueryString } from "../../lib/battle";
+import { historyFor, ledgerFor, useBattleHistory } from "../../lib/battle-history";
 import fallbackCharacters from "../../data/fallback-characters.json";
+import RelationshipGraph from "../../components/RelationshipGraph";
 
 function slugifyId(value) {
   return (value || "")
@@ -44,7 +54,82 @@ function powerIntensityLabel(level) {
   return "Emerging";
 }
 
-function CharacterProfilePage({ character, siteUrl }) {
+function replayHref(record) {
+  const ids = record.participants.map((item) => item.id);
+  if (record.mode === "duel") {
+    return `/?${battleQueryString({ left: ids[0], right: ids[1], seed: record.seed, day: record.day })}`;
+  }
+  return `/?${teamBattleQueryString({ mode: record.mode, squad: ids, seed: record.seed })}`;
+}
+
+// Battles are recorded in the visitor's browser (and the shared log when sync
+// is on), so the record is filled in after hydration.
+function ArenaRecordSection({ character }) {
+  const { records, ledger } = useBattleHistory({ character: character.id });
+  const record = ledgerFor(ledger, character.id);
+  const recent = historyFor(records, character.id).slice(0, 6);
+  const winRate = record.battles ? Math.round((record.wins / record.battles) * 100) : 0;
+
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+      <h2 className="text-2xl font-black text-white">Arena Record</h2>
+      {record.battles ? (
+        <>
+          <div className="mt-6 grid gap-3 sm:grid-cols-3">
+            {[
+              ["Wins", record.wins],
+              ["Losses", record.losses],
+              ["Win rate", `${winRate}%`],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-2xl border border-white/15 bg-black/40 p-4">
+                <p className="text-xs uppercase tracking-[0.35em] text-white/60">{label}</p>
+                <p className="mt-2 text-3xl font-black text-white">{value}</p>
+              </div>
+            ))}
+          </div>
+          <ul className="mt-6 space-y-2 text-sm text-white/80">
+            {recent.map((battle) => {
+              const won = battle.winners.includes(character.id);
+              const opponents = battle.participants.filter((item) => item.id !== character.id);
+              return (
+                <li
+                  key={battle.id}
+                  className="flex flex-wrap items-center gap-3 rounded-2xl border border-white/10 bg-black/30 px-4 py-3"
+                >
+                  <span className={won ? "font-black text-emerald-300" : "font-black text-rose-300"}>{won ? "Won" : "Lost"}</span>
+                  <span className="flex-1">
+                    {ARENA_MODES[battle.mode]?.label || battle.mode} vs{" "}
+                    {opponents.map((item, index) => (
+                      <React.Fragment key={item.id}>
+                        {index > 0 && ", "}
+                        <Link href={`/characters/${item.id}`} className="font-semibold text-white hover:underline">
+                          {item.name}
+                        </Link>
+                      </React.Fragment>
+                    ))}
+                  </span>
+                  <time dateTime={battle.at} className="text-xs text-white/50">
+                    {new Date(battle.at).toLocaleDateString()}
+                  </time>
+                  <Link href={replayHref(battle)} className="font-mono text-xs text-amber-200 hover:underline">
+                    Replay {battle.seed}
+                  </Link>
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      ) : (
+        <p className="mt-4 text-base text-white/70">
+          {character.name} has no recorded arena battles yet. Send them into the arena from the codex to start a record.
+        </p>
+      )}
+    </section>
+  );
+}
+
+function CharacterProfilePage({ character, siteUrl, relationships }) {
+  const router = useRouter();
   if (!character) {
     return (
       <main className="flex min-h-screen items-center justify-center bg-[#050813] p-6 text-white">
@@ -74,7 +159,16 @@ function CharacterProfilePage({ character, siteUrl }) {
   const abilities = Array.isArray(character.powers) ? character.powers : [];
   const image = character.cover || character.gallery?.[0] || null;
   const canonicalUrl = `${siteUrl}/characters/${character.id || slugifyId(character.name)}`;
+  // Covers are often Drive links crawlers cannot fetch, so previews use the generated card.
+  const socialImage = `${siteUrl}/api/og/character?id=${encodeURIComponent(character.id || slugifyId(character.name))}`;
   const description = character.longDesc || character.shortDesc || `${character.name} profile from the LoreMaker Universe.`;
+  const connectionNames = new Map((relationships?.nodes || []).map((node) => [node.id, node.name]));
+  const explicitConnections = (relationships?.links || [])
+    .filter((link) => RELATIONSHIP_TYPES[link.type]?.explicit)
+    .map((link) => {
+      const otherId = link.source === character.id ? link.target : link.source;
+      return { id: otherId, name: connectionNames.get(otherId), type: link.type };
+    });
 
   const schemaJson = useMemo(() => {
     const payload = clean({
@@ -124,12 +218,15 @@ function CharacterProfilePage({ character, siteUrl }) {
         <meta property="og:title" content={metaTitle} />
         <meta property="og:description" content={metaDescription} />
         <meta property="og:url" content={canonicalUrl} />
-        {image && <meta property="og:image" content={image} />}
+        <meta property="og:image" content={socialImage} />
+        <meta property="og:image:width" content="1200" />
+        <meta property="og:image:height" content="630" />
+        <meta property="og:image:alt" content={`${character.name} character card`} />
         <meta property="og:site_name" content="LoreMaker Universe" />
         <meta name="twitter:card" content="summary_large_image" />
         <meta name="twitter:title" content={metaTitle} />
         <meta name="twitter:description" content={metaDescription} />
-        {image && <meta name="twitter:image" content={image} />}
+        <meta name="twitter:image" content={socialImage} />
         <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
       </Head>
       <main className="min-h-screen bg-[#050813] pb-16 text-white">
@@ -220,7 +317,13 @@ function CharacterProfilePage({ character, siteUrl }) {
                     className="rounded-2xl border border-white/15 bg-black/40 p-4 shadow-[0_12px_40px_rgba(8,10,30,0.35)]"
                   >
                     <div className="flex flex-wrap items-center justify-between gap-3">
-                      <span className="text-lg font-extrabold text-white">{power?.name || "Unnamed ability"}</span>
+                      {power?.name ? (
+                        <Link href={`/powers/${powerSlug(power.name)}`} className="text-lg font-extrabold text-white hover:underline">
+                          {power.name}
+                        </Link>
+                      ) : (
+                        <span className="text-lg font-extrabold text-white">Unnamed ability</span>
+                      )}
                       {Number.isFinite(power?.level) && (
                         <span className="rounded-full bg-white/15 px-3 py-1 text-sm font-semibold text-white/80">
                           {power.level}/10 · {powerIntensityLabel(Number(power.level))}
@@ -248,13 +351,33 @@ function CharacterProfilePage({ character, siteUrl }) {
               <div>
                 <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Factions</h3>
                 <ul className="mt-3 space-y-2 text-base text-white/80">
-                  {factions.length ? factions.map((name) => <li key={name}>{name}</li>) : <li>No formal allegiance recorded.</li>}
+                  {factions.length ? (
+                    factions.map((name) => (
+                      <li key={name}>
+                        <Link href={`/factions/${factionSlug(name)}`} className="transition hover:text-white hover:underline">
+                          {name}
+                        </Link>
+                      </li>
+                    ))
+                  ) : (
+                    <li>No formal allegiance recorded.</li>
+                  )}
                 </ul>
               </div>
               <div>
                 <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Strongholds</h3>
                 <ul className="mt-3 space-y-2 text-base text-white/80">
-                  {locations.length ? locations.map((name) => <li key={name}>{name}</li>) : <li>Operates across undisclosed realms.</li>}
+                  {locations.length ? (
+                    locations.map((name) => (
+                      <li key={name}>
+                        <Link href={`/locations/${locationSlug(name)}`} className="transition hover:text-white hover:underline">
+                          {name}
+                        </Link>
+                      </li>
+                    ))
+                  ) : (
+                    <li>Operates across undisclosed realms.</li>
+                  )}
                 </ul>
               </div>
             </div>
@@ -280,12 +403,46 @@ function CharacterProfilePage({ character, siteUrl }) {
             </div>
           </section>
 
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Connections</h2>
+            {explicitConnections.length > 0 && (
+              <div className="mt-4 flex flex-wrap gap-2 text-sm font-semibold">
+                {explicitConnections.map((connection) => (
+                  <Link
+                    key={`${connection.type}-${connection.id}`}
+                    href={`/characters/${connection.id}`}
+                    className="rounded-full border border-white/20 px-4 py-1 text-white/80 transition hover:bg-white/10"
+                  >
+                    {RELATIONSHIP_TYPES[connection.type].label}: {connection.name}
+                  </Link>
+                ))}
+              </div>
+            )}
+            {relationships?.links?.length ? (
+              <RelationshipGraph
+                graph={relationships}
+                focusId={character.id}
+                height={420}
+                className="mt-6"
+                onSelect={(node) => node.id !== character.id && router.push(`/characters/${node.id}`)}
+              />
+            ) : (
+              <p className="mt-4 text-base text-white/70">
+                No recorded allies, rivals or shared campaigns link {character.name} to the wider codex yet.
+              </p>
+            )}
+          </section>
+
           <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
             <h2 className="text-2xl font-black text-white">Key Appearances</h2>
             {stories.length ? (
               <ol className="mt-6 list-decimal space-y-2 pl-6 text-base text-white/80">
                 {stories.map((story) => (
-                  <li key={story}>{story}</li>
+                  <li key={story}>
+                    <Link href={`/stories/${storySlug(story)}`} className="transition hover:text-white hover:underline">
+                      {story}
+                    </Link>
+                  </li>
                 ))}
               </ol>
             ) : (
@@ -295,6 +452,8 @@ function CharacterProfilePage({ character, siteUrl }) {
             )}
           </section>
 
+          <ArenaRecordSection character={character} />
+
           {character.gallery && character.gallery.length > 0 && (
             <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
               <h2 className="text-2xl font-black text-white">Visual Archive</h2>
@@ -365,7 +524,7 @@ export async function getStaticProps({ params }) {
   };
 
   const characters = await loadCharacters();
-  const character = characters.find((char) => (char.id || slugifyId(char.name)) === id) || null;
+  const character = findCharacter(characters, id);
 
   if (!character) {
     return { notFound: true, revalidate: 300 };
@@ -375,6 +534,7 @@ export async function getStaticProps({ params }) {
     props: {
       character,
       siteUrl,
+      relationships: buildRelationshipGraph(characters, { focusId: character.id }),
     },
     revalidate: 600,
   };
@@ -0,0 +1,228 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { codexQueryString } from "../../lib/filters";
+import { collectFactions, findFaction } from "../../lib/factions";
+import { storySlug } from "../../lib/stories";
+import TallyList from "../../components/TallyList";
+
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-2xl border border-white/15 bg-black/40 p-4">
+      <p className="text-xs uppercase tracking-[0.35em] text-white/60">{label}</p>
+      <p className="mt-2 text-3xl font-black text-white">{value}</p>
+    </div>
+  );
+}
+
+function FactionPage({ faction, siteUrl }) {
+  const canonicalUrl = `${siteUrl}/factions/${faction.slug}`;
+  const members = faction.leaderboard;
+  const image = members.find((member) => member.cover)?.cover || null;
+  const champion = members[0];
+  const description = `${faction.name} fields ${members.length} LoreMaker ${
+    members.length === 1 ? "member" : "members"
+  } with a combined power score of ${faction.power.totalScore}${
+    champion ? `, led on the leaderboard by ${champion.name}` : ""
+  }.`;
+  const peakPower = Math.max(1, ...faction.power.powers.map((power) => power.total));
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "Organization",
+        name: faction.name,
+        description,
+        url: canonicalUrl,
+        mainEntityOfPage: canonicalUrl,
+        ...(image ? { image } : {}),
+        member: members.map((member) => ({
+          "@type": "FictionalCharacter",
+          name: member.name,
+          url: `${siteUrl}/characters/${member.id}`,
+        })),
+        numberOfEmployees: { "@type": "QuantitativeValue", value: members.length },
+        areaServed: faction.locations.map((item) => ({ "@type": "Place", name: item.name })),
+        subjectOf: faction.stories.map((item) => ({
+          "@type": "CreativeWork",
+          name: item.name,
+          url: `${siteUrl}/stories/${storySlug(item.name)}`,
+        })),
+        parentOrganization: { "@type": "Organization", name: "LoreMaker Universe", url: siteUrl },
+      }),
+    [canonicalUrl, description, faction, image, members, siteUrl]
+  );
+
+  const metaTitle = `${faction.name} | LoreMaker Universe Factions`;
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        {image && <meta property="og:image" content={image} />}
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        {image && <meta name="twitter:image" content={image} />}
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Faction</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">{faction.name}</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 text-xs font-semibold text-white/70 sm:text-sm">
+              {faction.alignments.map((alignment) => (
+                <span key={alignment.name} className="rounded-full border border-white/20 px-4 py-1">
+                  {alignment.name} · {alignment.count}
+                </span>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+              <Link
+                href={`/?${codexQueryString({ filters: { faction: [faction.name] } })}`}
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Filter the codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+            <StatTile label="Members" value={members.length} />
+            <StatTile label="Total power" value={faction.power.totalScore} />
+            <StatTile label="Average power" value={faction.power.averageScore} />
+            <StatTile label="Territories" value={faction.locations.length} />
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Leaderboard</h2>
+            <div className="mt-6 overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="text-xs uppercase tracking-[0.25em] text-white/60">
+                  <tr>
+                    <th className="py-2 pr-4">Rank</th>
+                    <th className="py-2 pr-4">Member</th>
+                    <th className="py-2 pr-4">Origin</th>
+                    <th className="py-2 pr-4">Powers</th>
+                    <th className="py-2 text-right">Score</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {members.map((member) => (
+                    <tr key={member.id} className="border-t border-white/10 align-top">
+                      <td className="py-3 pr-4 font-black text-white">#{member.rank}</td>
+                      <td className="py-3 pr-4">
+                        <Link href={`/characters/${member.id}`} className="font-bold text-white hover:underline">
+                          {member.name}
+                        </Link>
+                        {member.alias[0] && <p className="text-xs text-white/60">{member.alias[0]}</p>}
+                      </td>
+                      <td className="py-3 pr-4 text-white/75">{member.origin}</td>
+                      <td className="py-3 pr-4 text-white/75">{member.powerCount}</td>
+                      <td className="py-3 text-right text-lg font-black text-amber-200">{member.score}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Power Profile</h2>
+            <div className="mt-6 grid gap-8 md:grid-cols-[3fr_2fr]">
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Combined abilities</h3>
+                {faction.power.powers.length ? (
+                  <ul className="mt-4 space-y-3">
+                    {faction.power.powers.map((power) => (
+                      <li key={power.name}>
+                        <div className="mb-1 flex items-center justify-between text-sm font-bold">
+                          <span className="truncate pr-3">{power.name}</span>
+                          <span className="text-white/70">
+                            {power.total} · peak {power.peak}/10
+                          </span>
+                        </div>
+                        <div className="h-2 rounded-full bg-white/10">
+                          <div
+                            className="h-2 rounded-full bg-gradient-to-r from-amber-300 via-rose-400 to-indigo-400"
+                            style={{ width: `${Math.round((power.total / peakPower) * 100)}%` }}
+                          />
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="mt-3 text-base text-white/70">No powers catalogued for this faction yet.</p>
+                )}
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Origins</h3>
+                <TallyList items={faction.power.origins} empty="Origins unknown." />
+              </div>
+            </div>
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Territory &amp; Chronicles</h2>
+            <div className="mt-6 grid gap-6 md:grid-cols-2">
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Operates in</h3>
+                <TallyList items={faction.locations} empty="Operates across undisclosed realms." />
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Associated stories</h3>
+                <TallyList
+                  items={faction.stories}
+                  empty="No chronicles recorded yet."
+                  hrefFor={(name) => `/stories/${storySlug(name)}`}
+                />
+              </div>
+            </div>
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default FactionPage;
+
+export async function getStaticPaths() {
+  const characters = await fetchCharactersFromSheets();
+  const paths = collectFactions(characters).map((faction) => ({ params: { slug: faction.slug } }));
+  return { paths, fallback: "blocking" };
+}
+
+export async function getStaticProps({ params }) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const faction = findFaction(await fetchCharactersFromSheets(), params?.slug);
+
+  if (!faction) {
+    return { notFound: true, revalidate: 300 };
+  }
+
+  return {
+    props: { faction, siteUrl },
+    revalidate: 600,
+  };
+}
@@ -9,6 +9,7 @@ import React, {
 } from "react";
 import Head from "next/head";
 import Link from "next/link";
+import { useRouter } from "next/router";
 import { createPortal } from "react-dom";
 import { AnimatePresence, motion, useMotionValue, useSpring, useTransform } from "framer-motion";
 import {
@@ -18,6 +19,7 @@ import {
   ArrowDown,
   ArrowUp,
   ArrowRight,
+  ArrowUpRight,
   ChevronLeft,
   ChevronRight,
   ChevronUp,
@@ -36,15 +38,83 @@ import {
   HeartPulse,
   Skull,
   Circle,
+  Network,
+  Dices,
+  Bookmark,
+  Pencil,
+  Trash2,
+  Download,
+  Upload,
+  Check,
 } from "lucide-react";
 import {
   computeFeatured,
   normaliseArray,
   fetchCharactersFromSheets,
+  fillDailyPowers,
+  getCharacterCacheStatus,
   todayKey,
   publicCharactersError,
   seededRandom,
+  seededShuffle,
 } from "../lib/characters";
+import { SEARCH_FIELD_LABELS, createSearchIndex, highlightSegments } from "../lib/search";
+import {
+  CODEX_QUERY_KEYS,
+  RANGE_FILTERS,
+  SORT_OPTIONS,
+  codexQueryString,
+  formatRange,
+  isRangeFilter,
+  matchesFilters,
+  parseCodexQuery,
+  rangeActive,
+  rangeBounds,
+  searchCodex,
+  sortCharacters,
+} from "../lib/filters";
+import {
+  ARENA_MODES,
+  ARENA_MODE_ORDER,
+  arenaCapacity,
+  assembleTeams,
+  battlePath,
+  battleQueryString,
+  computeBattleTimeline,
+  computeTeamBattle,
+  createBattleSeed,
+  isSquadReady,
+  parseBattleQuery,
+  parseTeamBattleQuery,
+  powerOriginProfile,
+  scoreCharacter,
+  teamBattleQueryString,
+  teamSynergy,
+} from "../lib/battle";
+import { BATTLE_RULES } from "../lib/battle-rules";
+import { buildRelationshipGraph } from "../lib/relations";
+import { storySlug } from "../lib/stories";
+import { factionSlug } from "../lib/factions";
+import { locationSlug } from "../lib/locations";
+import { powerSlug, tallyPowers } from "../lib/powers";
+import { TOURNAMENT_FORMATS, runTournament, tournamentToCsv } from "../lib/tournament";
+import { arenaRatings } from "../lib/ratings";
+import { MATRIX_LIMIT, SIMULATION_RUNS, simulateMatchup, simulateMatrix } from "../lib/simulation";
+import { createDuelRecord, createTeamRecord, ledgerFor, recordBattle, useBattleHistory } from "../lib/battle-history";
+import RelationshipGraph from "../components/RelationshipGraph";
+import Insignia from "../components/Insignia";
+import RosterSlide from "../components/RosterSlide";
+import { BattleRecordBadge } from "../components/BattleRecord";
+import {
+  addPreset,
+  createPreset,
+  exportPresets,
+  importPresets,
+  presetKey,
+  removePreset,
+  renamePreset,
+  useFilterPresets,
+} from "../lib/filter-presets";
 
 /**
  * Ultra interactive Loremaker experience
@@ -243,95 +313,11 @@ function useMediaQuery(query) {
   return matches;
 }
 
-
-function getCharacterValues(character, key) {
-  switch (key) {
-    case "gender":
-    case "alignment":
-    case "status":
-    case "era":
-      return normaliseArray(character[key]);
-    case "locations":
-      return normaliseArray(character.locations);
-    case "faction":
-      return normaliseArray(character.faction);
-    case "tags":
-      return normaliseArray(character.tags);
-    case "stories":
-      return normaliseArray(character.stories);
-    case "powers":
-      return normaliseArray((character.powers || []).map((power) => power.name));
-    case "alias":
-    case "aliases":
-      return normaliseArray(character.alias);
-    case "id":
-    case "name":
-      return normaliseArray(character[key]);
-    default:
-      return normaliseArray(character[key]);
-  }
-}
-
-function matchesFilters(character, filters = {}, combineAND = false, query = "") {
-  const terms = query
-    .toLowerCase()
-    .split(/\s+/)
-    .map((term) => term.trim())
-    .filter(Boolean);
-
-  if (terms.length) {
-    const searchable = [
-      character.id,
-      character.name,
-      character.gender,
-      character.alignment,
-      character.status,
-      character.era,
-      (character.alias || []).join(" "),
-      (character.locations || []).join(" "),
-      (character.faction || []).join(" "),
-      (character.tags || []).join(" "),
-      (character.stories || []).join(" "),
-      (character.powers || []).map((power) => power.name).join(" "),
-      character.shortDesc,
-      character.longDesc,
-    ]
-      .filter(Boolean)
-      .join(" \n ")
-      .toLowerCase();
-
-    const queryMatch = terms.every((term) => searchable.includes(term));
-    if (!queryMatch) {
-      return false;
-    }
-  }
-
-  if (!filters || !Object.keys(filters).length) return true;
-
-  const entries = Object.entries(filters).filter(([, value]) => {
-    if (value == null) return false;
-    if (Array.isArray(value)) return value.length > 0;
-    return String(value).trim().length > 0;
-  });
-
-  if (!entries.length) return true;
-
-  return entries.every(([key, selected]) => {
-    const desired = normaliseArray(selected).map((value) => String(value).toLowerCase());
-    if (!desired.length) return true;
-
-    const available = getCharacterValues(character, key).map((value) => String(value).toLowerCase());
-    if (!available.length) return false;
-
-    const comparator = combineAND ? "every" : "some";
-    return desired[comparator]((needle) => available.includes(needle));
-  });
-}
-
-function useCharacters(initialData = [], initialError = null) {
+function useCharacters(initialData = [], initialError = null, initialFallback = false) {
   const [data, setData] = useState(initialData);
   const [loading, setLoading] = useState(!initialData.length && !initialError);
   const [error, setError] = useState(initialError);
+  const [fallback, setFallback] = useState(initialFallback);
 
   const fetchLatest = useCallback(async (force = false) => {
     setLoading(true);
@@ -343,6 +329,7 @@ function useCharacters(initialData = [], initialError = null) {
       }
       const payload = await res.json();
       setData(payload.data || []);
+      setFallback(Boolean(payload.fallback));
       setError(null);
     } catch (err) {
       console.error(err);
@@ -355,8 +342,9 @@ function useCharacters(initialData = [], initialError = null) {
   useEffect(() => {
     setData(initialData);
     setError(initialError ? publicCharactersError(initialError) : null);
+    setFallback(initialFallback);
     setLoading(false);
-  }, [initialData, initialError]);
+  }, [initialData, initialError, initialFallback]);
 
   useEffect(() => {
     if (!initialData.length && !initialError) {
@@ -364,7 +352,7 @@ function useCharacters(initialData = [], initialError = null) {
     }
   }, [fetchLatest, initialData.length, initialError]);
 
-  return { data, loading, error, refetch: () => fetchLatest(true) };
+  return { data, loading, error, fallback, refetch: () => fetchLatest(true) };
 }
 
 function Aurora({ className = "" }) {
@@ -690,70 +678,37 @@ function HeroDynamicBackground({ pointer, ripples }) {
   );
 }
 
-function RosterSlide({ slide, icon, facetKey, onFacet, onOpenCharacter, limit }) {
-  const payload = slide.data;
-  if (!payload?.name) {
-    return (
-      <div className="flex h-full flex-col justify-center gap-3 rounded-[32px] border border-white/10 bg-white/6 p-8 text-white">
-        <div className="text-xs font-bold tracking-[0.35em] text-white/70">{slide.label}</div>
-        <p className="text-sm font-semibold text-white/70">Daily highlight synchronising…</p>
-      </div>
-    );
-  }
-
-  const members = payload.members || payload.residents || payload.wielders || [];
-  const descriptor =
-    slide.key === "faction"
-      ? `Allies sworn to ${payload.name}`
-      : slide.key === "location"
-        ? `Key figures shaping ${payload.name}`
-        : `Masters of ${payload.name}`;
-
+function FeaturedRosterSlide({ slide, icon, facetKey, href, hrefLabel, onFacet, onOpenCharacter, limit }) {
   return (
-    <div className="grid h-full gap-8 rounded-[32px] border border-white/15 bg-black/40 p-8 text-white lg:grid-cols-[2fr_3fr]">
-      <div className="space-y-4">
-        <div className="flex items-center gap-3 text-xs font-bold tracking-[0.35em] text-white/70">
-          {icon}
-          {slide.label}
-        </div>
-        <h2 className="text-2xl font-black leading-tight text-balance sm:text-4xl">{payload.name}</h2>
-        <p className="text-sm font-semibold text-white/75">{descriptor}</p>
-        <div className="flex flex-wrap gap-2">
+    <RosterSlide
+      slide={slide}
+      icon={icon}
+      onOpenCharacter={onOpenCharacter}
+      limit={limit}
+      actions={
+        <>
           <Button
             type="button"
             variant="gradient"
             size="sm"
             onClick={() => {
-              onFacet?.({ key: facetKey, value: payload.name });
+              onFacet?.({ key: facetKey, value: slide.data.name });
             }}
             className="shadow-[0_10px_30px_rgba(250,204,21,0.25)]"
           >
-            Filter by {payload.name}
+            Filter by {slide.data.name}
           </Button>
-        </div>
-      </div>
-      <div className="grid gap-3 sm:grid-cols-2">
-        {members.slice(0, limit).map((member) => (
-          <button
-            key={member.id || member.name}
-            type="button"
-            onClick={() => onOpenCharacter?.(member)}
-            className="flex items-center gap-3 rounded-3xl border border-white/15 bg-white/10 p-3 text-left transition hover:bg-white/20"
-          >
-            <Insignia label={member.name} size={40} variant={slide.key === "faction" ? "faction" : "character"} />
-            <div className="flex flex-col text-xs">
-              <span className="text-sm font-black text-white">{member.name}</span>
-              <span className="text-white/70">{member.alias?.[0] || member.shortDesc?.slice(0, 40) || "Open dossier"}</span>
-            </div>
-          </button>
-        ))}
-        {!members.length && (
-          <div className="flex h-32 items-center justify-center rounded-3xl border border-dashed border-white/15 bg-white/5 text-xs font-semibold text-white/60">
-            Awaiting intel on key figures.
-          </div>
-        )}
-      </div>
-    </div>
+          {href && (
+            <Link
+              href={href(slide.data.name)}
+              className="inline-flex items-center gap-1 rounded-full border border-white/30 px-4 py-1.5 text-xs font-bold text-white transition hover:bg-white/10"
+            >
+              {hrefLabel} <ArrowUpRight size={14} />
+            </Link>
+          )}
+        </>
+      }
+    />
   );
 }
 
@@ -900,48 +855,6 @@ function LoreShield({ size = 56, onClick }) {
   );
 }
 
-function Insignia({ label, size = 48, variant = "character" }) {
-  const fallback = label || "Lore";
-  const initials = fallback
-    .split(/\s+/)
-    .filter(Boolean)
-    .slice(0, 2)
-    .map((word) => word[0]?.toUpperCase())
-    .join("") || "LM";
-  const hue = Math.abs([...fallback].reduce((acc, char) => acc + char.charCodeAt(0), 0)) % 360;
-  const topWidth = variant === "site" ? 42 : variant === "faction" ? 36 : 32;
-  const fillOne = `hsl(${hue}, 85%, 64%)`;
-  const fillTwo = `hsl(${(hue + 48) % 360}, 80%, 60%)`;
-  return (
-    <svg width={size} height={size} viewBox="0 0 64 64" className="drop-shadow-[0_3px_12px_rgba(0,0,0,0.55)]">
-      <defs>
-        <linearGradient id={`ins-${hue}`} x1="0" x2="1" y1="0" y2="1">
-          <stop offset="0%" stopColor={fillOne} />
-          <stop offset="100%" stopColor={fillTwo} />
-        </linearGradient>
-      </defs>
-      <path
-        d={`M32 6 C32 6 ${32 - topWidth / 2} 10 ${32 - topWidth / 2} 10 L ${32 + topWidth / 2} 10 C ${32 + topWidth / 2} 10 32 6 32 6 L 56 16 L 56 36 C 56 47 46 57 32 60 C 18 57 8 47 8 36 L 8 16 Z`}
-        fill={`url(#ins-${hue})`}
-        stroke="rgba(255,255,255,.45)"
-        strokeWidth="1.4"
-      />
-      <text
-        x="32"
-        y="39"
-        textAnchor="middle"
-        fontFamily="var(--font-sans, 'Inter', 'Segoe UI', sans-serif)"
-        fontWeight="900"
-        fontSize="20"
-        fill="#fff"
-        style={{ filter: "drop-shadow(0 1px 2px rgba(0,0,0,.6))" }}
-      >
-        {initials}
-      </text>
-    </svg>
-  );
-}
-
 function ImageSafe({ src, alt, className = "", fallbackLabel }) {
   const sources = useMemo(() => imageCandidates(src), [src]);
   const [index, setIndex] = useState(0);
@@ -1007,12 +920,13 @@ function PowerMeter({ level, accent = "amber" }) {
   );
 }
 
-function FacetChip({ active, onClick, children }) {
+function FacetChip({ active, onClick, children, ...props }) {
   return (
     <button
       type="button"
       onClick={onClick}
       aria-pressed={!!active}
+      {...props}
       className={cx(
         "rounded-full border px-3 py-1 text-xs font-semibold tracking-wide transition",
         active ? "border-white bg-white text-black" : "border-white/30 bg-white/10 text-white hover:bg-white/20"
@@ -1024,6 +938,22 @@ function FacetChip({ active, onClick, children }) {
 }
 
 /** -------------------- Character Card / Modal -------------------- */
+function StoryLinkChip({ story, onFacet }) {
+  return (
+    <span className="inline-flex items-center gap-1">
+      <FacetChip onClick={() => onFacet({ key: "stories", value: story })}>{story}</FacetChip>
+      <Link
+        href={`/stories/${storySlug(story)}`}
+        aria-label={`Open the ${story} story page`}
+        title="Open story page"
+        className="rounded-full border border-white/20 p-1 text-white/70 transition hover:bg-white/10 hover:text-white"
+      >
+        <ArrowUpRight size={12} />
+      </Link>
+    </span>
+  );
+}
+
 function StoryChips({ data, onFacet }) {
   const stories = useMemo(() => {
     const counts = new Map();
@@ -1039,25 +969,13 @@ function StoryChips({ data, onFacet }) {
   return (
     <div className="flex flex-wrap gap-2">
       {stories.map((story) => (
-        <FacetChip key={story} onClick={() => onFacet({ key: "stories", value: story })}>
-          {story}
-        </FacetChip>
+        <StoryLinkChip key={story} story={story} onFacet={onFacet} />
       ))}
     </div>
   );
 }
 
-const SORT_OPTIONS = [
-  { value: "default", label: "Default" },
-  { value: "random", label: "Random" },
-  { value: "faction", label: "By Faction" },
-  { value: "az", label: "A-Z" },
-  { value: "za", label: "Z-A" },
-  { value: "most", label: "From Most Powerful" },
-  { value: "least", label: "From Least Powerful" },
-];
-
-function CharacterCard({ char, onOpen, onFacet, onUseInSim, highlight }) {
+function CharacterCard({ char, onOpen, onFacet, onUseInSim, highlight, record, matchTerms }) {
   const [pulse, setPulse] = useState(false);
   const cardRef = useRef(null);
   useEffect(() => {
@@ -1140,11 +1058,13 @@ function CharacterCard({ char, onOpen, onFacet, onUseInSim, highlight }) {
                     onClick={(event) => event.stopPropagation()}
                     className="transition hover:text-amber-200 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-amber-300"
                   >
-                    {char.name}
+                    <Highlighted text={char.name} terms={matchTerms} />
                   </Link>
                 </h2>
                 {primaryAlias && (
-                  <span className="text-[11px] font-semibold text-white/65">{primaryAlias}</span>
+                  <span className="text-[11px] font-semibold text-white/65">
+                    <Highlighted text={primaryAlias} terms={matchTerms} />
+                  </span>
                 )}
               </div>
               {statusMeta && (
@@ -1169,7 +1089,7 @@ function CharacterCard({ char, onOpen, onFacet, onUseInSim, highlight }) {
           </button>
         </div>
         <div className="flex flex-1 flex-col justify-between px-4 pb-4 pt-3 text-white/80">
-          <div className="flex items-center gap-2">
+          <div className="flex flex-wrap items-center gap-2">
             <span className="inline-flex items-center gap-2 rounded-full border border-white/20 bg-white/10 px-3 py-1 text-[11px] font-semibold text-white">
               <span>{alignmentLabel}</span>
               {statusMeta && (
@@ -1179,8 +1099,11 @@ function CharacterCard({ char, onOpen, onFacet, onUseInSim, highlight }) {
                 </span>
               )}
             </span>
+            <BattleRecordBadge record={record} className="py-1 text-[11px]" />
           </div>
-          <p className="mt-3 text-sm font-semibold leading-relaxed text-white/75">{shortCaption}</p>
+          <p className="mt-3 text-sm font-semibold leading-relaxed text-white/75">
+            <Highlighted text={shortCaption} terms={matchTerms} />
+          </p>
           <div className="mt-4 flex flex-wrap gap-2">
             {minimalFilters.map((item) => (
               <button
@@ -1470,9 +1393,7 @@ function CharacterModal({ open, onClose, char, onFacet, onUseInSim }) {
                 </div>
                 <div className="mt-2 flex flex-wrap gap-2">
                   {(char.stories || []).map((story) => (
-                    <FacetChip key={story} onClick={() => onFacet({ key: "stories", value: story })}>
-                      {story}
-                    </FacetChip>
+                    <StoryLinkChip key={story} story={story} onFacet={onFacet} />
                   ))}
                 </div>
               </div>
@@ -1485,7 +1406,7 @@ function CharacterModal({ open, onClose, char, onFacet, onUseInSim }) {
 }
 
 const PAGE_SIZE = 24;
-function CharacterGrid({ data, onOpen, onFacet, onUseInSim, highlightId }) {
+function CharacterGrid({ data, onOpen, onFacet, onUseInSim, highlightId, ledger, searchHits }) {
   const [page, setPage] = useState(1);
   useEffect(() => setPage(1), [data]);
   useEffect(() => {
@@ -1509,6 +1430,8 @@ function CharacterGrid({ data, onOpen, onFacet, onUseInSim, highlightId }) {
           onFacet={onFacet}
           onUseInSim={onUseInSim}
           highlight={highlightId === c.id}
+          record={ledgerFor(ledger, c.id)}
+          matchTerms={searchHits?.get(c.id)?.terms}
         />
       ))}
       {!slice.length && <div className="text-lg font-black text-white">No characters match your filters… yet.</div>}
@@ -1517,122 +1440,6 @@ function CharacterGrid({ data, onOpen, onFacet, onUseInSim, highlightId }) {
 }
 
 /** -------------------- Battle Arena++ -------------------- */
-function scoreCharacter(c) {
-  const base = (c.powers || []).reduce((s, p) => s + (isFinite(p.level) ? p.level : 0), 0);
-  const elite = (c.tags || []).some((t) => /leader|legend|mythic|prime/i.test(t)) ? 3 : 0;
-  const eraMod = /old gods|ancient/i.test(c.era || "") ? 1.07 : 1;
-  const origin = powerOriginProfile(c);
-  const withBias = (base + elite) * origin.multiplier * eraMod;
-  return Math.round(withBias);
-}
-function rngLuck(max) {
-  const r = (Math.random() * 2 - 1) * 0.2 * max; // ±20%
-  return Math.round(r);
-}
-function powerOriginProfile(c) {
-  const text = [
-    (c.tags || []).join(" "),
-    (c.alias || []).join(" "),
-    c.longDesc || "",
-    c.shortDesc || "",
-  ].join(" ").toLowerCase();
-  // crude but effective class detection
-  const isGod = /(god|goddess|deity|divine|celestial|primordial)/i.test(text) || /old gods|ancient gods/i.test(c.era || "");
-  const isAlien = /(alien|extraterrestrial|offworld|cosmic)/i.test(text);
-  const isMythic = /(demon|spirit|ethereal|eldritch|angel)/i.test(text);
-  const isMeta = /(meta|mutant|enhanced|super soldier|augment)/i.test(text) || (c.powers || []).some((p) => p.level >= 7);
-  if (isGod) return { label: "Divine", multiplier: 1.6 };
-  if (isAlien) return { label: "Alien", multiplier: 1.28 };
-  if (isMythic) return { label: "Mythic", multiplier: 1.24 };
-  if (isMeta) return { label: "Enhanced", multiplier: 1.14 };
-  if (/human|civilian/.test(text)) return { label: "Human", multiplier: 1.0 };
-  return { label: "Legend", multiplier: 1.08 };
-}
-
-function duel(c1, c2) {
-  const s1 = scoreCharacter(c1);
-  const s2 = scoreCharacter(c2);
-  const origin1 = powerOriginProfile(c1);
-  const origin2 = powerOriginProfile(c2);
-  const maxBase = Math.max(s1, s2) || 1;
-  const swings = 3;
-  let h1 = 100;
-  let h2 = 100;
-  const logs = [];
-  for (let i = 0; i < swings; i += 1) {
-    const luck1 = rngLuck(maxBase);
-    const luck2 = rngLuck(maxBase);
-    const offensive1 = s1 + luck1;
-    const offensive2 = s2 + luck2;
-    const shield1 = s1 * 0.35;
-    const shield2 = s2 * 0.35;
-    const delta1 = Math.max(0, offensive1 - shield2);
-    const delta2 = Math.max(0, offensive2 - shield1);
-    const combined = Math.max(1, delta1 + delta2);
-    const dmg1 = Math.round((delta1 / combined) * 48);
-    const dmg2 = Math.round((delta2 / combined) * 48);
-    h2 = Math.max(0, h2 - dmg1);
-    h1 = Math.max(0, h1 - dmg2);
-    logs.push({
-      swing: i + 1,
-      luck1,
-      luck2,
-      offensive1,
-      offensive2,
-      dmg1,
-      dmg2,
-      h1,
-      h2,
-    });
-  }
-  let winner;
-  if (h1 === h2) {
-    winner = s1 === s2 ? (Math.random() > 0.5 ? c1 : c2) : s1 > s2 ? c1 : c2;
-  } else {
-    winner = h1 > h2 ? c1 : c2;
-  }
-  const loser = winner === c1 ? c2 : c1;
-  return {
-    winner,
-    loser,
-    h1,
-    h2,
-    logs,
-    breakdown: {
-      s1,
-      s2,
-      origin1,
-      origin2,
-    },
-  };
-}
-
-function computeBattleTimeline(charA, charB) {
-  const summary = duel(charA, charB);
-  const timeline = summary.logs.map((phase) => ({
-    round: phase.swing,
-    strikeA: Math.round(phase.offensive1),
-    strikeB: Math.round(phase.offensive2),
-    luckA: phase.luck1,
-    luckB: phase.luck2,
-    damageToB: phase.dmg1,
-    damageToA: phase.dmg2,
-    healthA: phase.h1,
-    healthB: phase.h2,
-  }));
-
-  return {
-    timeline,
-    winner: summary.winner,
-    loser: summary.loser,
-    finalScoreA: summary.breakdown.s1,
-    finalScoreB: summary.breakdown.s2,
-    finalHealthA: summary.h1,
-    finalHealthB: summary.h2,
-    breakdown: summary.breakdown,
-  };
-}
-
 function ArenaCard({ char, position, onRelease, onOpen, health, isWinner, showX }) {
   if (!char) {
     return (
@@ -1857,6 +1664,127 @@ function ArenaCard({ char, position, onRelease, onOpen, health, isWinner, showX
   );
 }
 
+// Batch simulations run in a Web Worker; a newer job replaces a running one.
+// Browsers without workers fall back to running on the main thread.
+function useSimulationWorker() {
+  const workerRef = useRef(null);
+  const jobRef = useRef(0);
+  const [state, setState] = useState({ status: "idle", progress: 0, result: null, error: null });
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const reset = useCallback(() => {
+    jobRef.current += 1;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setState({ status: "idle", progress: 0, result: null, error: null });
+  }, []);
+
+  const run = useCallback((type, characters, options = {}) => {
+    jobRef.current += 1;
+    const id = jobRef.current;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setState({ status: "running", progress: 0, result: null, error: null });
+    const payload = { id, type, characters, runs: SIMULATION_RUNS, seed: createBattleSeed(), ...options };
+
+    if (typeof Worker === "undefined") {
+      setTimeout(() => {
+        try {
+          const result =
+            type === "matrix"
+              ? simulateMatrix(payload.characters, payload)
+              : simulateMatchup(payload.characters[0], payload.characters[1], payload);
+          if (jobRef.current === id) setState({ status: "done", progress: 1, result, error: null });
+        } catch (error) {
+          if (jobRef.current === id) setState({ status: "error", progress: 0, result: null, error: error.message });
+        }
+      }, 0);
+      return;
+    }
+
+    const worker = new Worker(new URL("../lib/simulation.worker.js", import.meta.url));
+    workerRef.current = worker;
+    worker.onmessage = ({ data }) => {
+      if (data.id !== jobRef.current) return;
+      if (data.type === "progress") {
+        setState((prev) => ({ ...prev, progress: data.done / data.total }));
+      } else if (data.type === "result") {
+        setState({ status: "done", progress: 1, result: data.result, error: null });
+      } else {
+        setState({ status: "error", progress: 0, result: null, error: data.message });
+      }
+    };
+    worker.onerror = (event) => {
+      if (jobRef.current !== id) return;
+      console.warn("[arena] Simulation worker failed", event);
+      setState({ status: "error", progress: 0, result: null, error: "Simulation failed to start" });
+    };
+    worker.postMessage(payload);
+  }, []);
+
+  return [state, run, reset];
+}
+
+const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+function MatchupOdds({ left, right, simulation }) {
+  if (simulation.status === "idle") return null;
+  if (simulation.status === "running") {
+    return (
+      <div className="rounded-2xl border border-white/10 bg-[#0d1126] px-4 py-5 text-center text-xs font-semibold text-slate-300">
+        Simulating {SIMULATION_RUNS.toLocaleString()} fights…
+      </div>
+    );
+  }
+  if (simulation.status === "error") {
+    return (
+      <div className="rounded-2xl border border-red-400/40 bg-red-500/10 px-4 py-3 text-xs font-semibold text-red-200">
+        {simulation.error}
+      </div>
+    );
+  }
+  const odds = simulation.result;
+  const rows = [
+    ["Win probability", percent(odds.winRateA), percent(odds.winRateB)],
+    ["Avg health left", `${odds.avgHealthA}%`, `${odds.avgHealthB}%`],
+    ["Avg swings won", odds.avgSwingsWonA, odds.avgSwingsWonB],
+    ["Avg strike", odds.avgStrikeA, odds.avgStrikeB],
+  ];
+  return (
+    <div className="rounded-2xl border border-white/10 bg-[#0d1126] px-4 py-5 text-xs text-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm font-black tracking-wide text-slate-200">
+          Odds over {odds.runs.toLocaleString()} fights
+        </div>
+        <span className="rounded-full bg-slate-900 px-3 py-1 font-mono text-[11px] text-slate-400">Seed {odds.seed}</span>
+      </div>
+      <div className="mt-3 flex h-3 overflow-hidden rounded-full bg-slate-800" role="img" aria-label={`${left?.name} wins ${percent(odds.winRateA)} of fights`}>
+        <div className="bg-gradient-to-r from-amber-300 to-amber-500" style={{ width: percent(odds.winRateA) }} />
+        <div className="flex-1 bg-gradient-to-r from-sky-400 to-sky-600" />
+      </div>
+      <table className="mt-3 w-full text-left">
+        <thead className="text-[11px] text-slate-400">
+          <tr>
+            <th className="py-1 pr-3 font-semibold" />
+            <th className="py-1 pr-3 font-bold text-amber-200">{left?.name}</th>
+            <th className="py-1 font-bold text-sky-300">{right?.name}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, a, b]) => (
+            <tr key={label} className="border-t border-white/5">
+              <td className="py-1 pr-3 text-slate-400">{label}</td>
+              <td className="py-1 pr-3 font-bold">{a}</td>
+              <td className="py-1 font-bold">{b}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 const swordVariants = {
   idle: { rotate: 0, scale: 1, filter: "drop-shadow(0 0 0 rgba(255,255,255,0))" },
   charging: { rotate: [0, -5, 5, -8, 8, 0], scale: 1.05, filter: "drop-shadow(0 0 25px rgba(249,250,139,0.9))" },
@@ -1864,7 +1792,7 @@ const swordVariants = {
   explode: { rotate: [0, -15, 15, 0], scale: [1, 1.2, 0.9, 1], filter: "drop-shadow(0 0 45px rgba(255,196,12,1))" },
 };
 
-function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey }) {
+function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey, replay, onBattleComplete }) {
   const left = characters.find((item) => item.id === slots.left) || null;
   const right = characters.find((item) => item.id === slots.right) || null;
   const [battleState, setBattleState] = useState("idle");
@@ -1873,6 +1801,9 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
   const [health, setHealth] = useState({ left: 100, right: 100 });
   const [showX, setShowX] = useState(null);
   const [arenaPulse, setArenaPulse] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [simulation, runSimulation, resetSimulation] = useSimulationWorker();
+  const replayedRef = useRef(null);
 
   useEffect(() => {
     if (!pulseKey) return;
@@ -1887,7 +1818,13 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
     setResult(null);
     setHealth({ left: 100, right: 100 });
     setShowX(null);
-  }, [left?.id, right?.id]);
+    resetSimulation();
+  }, [left?.id, right?.id, resetSimulation]);
+
+  const simulate = () => {
+    if (!left || !right || left.id === right.id) return;
+    runSimulation("matchup", [left, right]);
+  };
 
   const release = (id) => {
     setSlots((prev) => ({
@@ -1899,9 +1836,12 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
 
   const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-  const runBattle = async () => {
+  // A replay passes the day the fight was rolled on, so both fighters use
+  // that day's power levels rather than today's.
+  const runBattle = async (seed, day) => {
     if (!left || !right || left.id === right.id) return;
-    const computed = computeBattleTimeline(left, right);
+    const fighters = day ? [fillDailyPowers(left, day), fillDailyPowers(right, day)] : [left, right];
+    const computed = computeBattleTimeline(...fighters, seed ? { seed } : undefined);
     setBattleState("charging");
     setResult(null);
     setTimeline([]);
@@ -1920,12 +1860,45 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
     setResult(computed);
     setShowX(computed.loser.id);
     setTimeout(() => setShowX(null), 2200);
+    recordBattle(createDuelRecord(computed, left, right));
+    onBattleComplete?.({ left: left.id, right: right.id, seed: computed.seed, day: computed.day });
+  };
+
+  // The replay effect only re-runs when the replay or the fighters change, so
+  // it calls the latest runBattle through a ref.
+  const runBattleRef = useRef(runBattle);
+  useEffect(() => {
+    runBattleRef.current = runBattle;
+  });
+
+  useEffect(() => {
+    if (!replay || replayedRef.current === replay) return;
+    if (left?.id !== replay.left || right?.id !== replay.right) return;
+    replayedRef.current = replay;
+    runBattleRef.current(replay.seed, replay.day);
+  }, [replay, left?.id, right?.id]);
+
+  const copyReplayLink = async () => {
+    if (!result || typeof window === "undefined") return;
+    const url = `${window.location.origin}/?${battleQueryString({
+      left: left.id,
+      right: right.id,
+      seed: result.seed,
+      day: result.day,
+    })}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1600);
+    } catch (error) {
+      console.warn("[arena] Unable to copy replay link", error);
+    }
   };
 
   const runRandom = () => {
     if (characters.length < 2) return;
     const rng = seededRandom(`arena|${Date.now()}`);
-    const shuffled = [...characters].sort(() => rng() - 0.5);
+    const shuffled = seededShuffle(characters, rng);
     const first = shuffled[0];
     const second = shuffled.find((char) => char.id !== first.id) || shuffled[1];
     setSlots({ left: first?.id || null, right: second?.id || null });
@@ -1985,7 +1958,7 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
             <div className="order-3 col-span-2 flex flex-col items-center justify-center gap-3 rounded-3xl border border-slate-800/60 bg-[#0f1329]/80 p-4 text-center lg:order-none lg:col-span-1 lg:col-start-2 lg:row-start-1 lg:row-end-2 lg:self-stretch lg:justify-self-center lg:p-5">
               <motion.button
                 type="button"
-                onClick={runBattle}
+                onClick={() => runBattle()}
                 animate={battleState}
                 variants={swordVariants}
                 transition={{ duration: 0.9, ease: "easeInOut" }}
@@ -1997,12 +1970,21 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
                 <Swords className="h-10 w-10" />
               </motion.button>
               <div className="flex flex-col gap-2 text-[10px] font-bold text-slate-200 sm:text-xs">
-                <Button variant="gradient" size="sm" onClick={runBattle} className="text-[10px] sm:text-[11px]">
+                <Button variant="gradient" size="sm" onClick={() => runBattle()} className="text-[10px] sm:text-[11px]">
                   Fight
                 </Button>
                 <Button variant="outline" size="sm" onClick={runRandom} className="text-[10px] sm:text-[11px]">
                   Random Duel
                 </Button>
+                <Button
+                  variant="subtle"
+                  size="sm"
+                  onClick={simulate}
+                  disabled={!left || !right || simulation.status === "running"}
+                  className="gap-1 text-[10px] sm:text-[11px]"
+                >
+                  <Dices size={12} /> Simulate {SIMULATION_RUNS.toLocaleString()} fights
+                </Button>
                 <Button variant="destructive" size="sm" onClick={reset} className="text-[10px] sm:text-[11px]">
                   Reset Arena
                 </Button>
@@ -2021,8 +2003,27 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
               <div className="mt-2 text-xs text-slate-400">
                 Final totals — {left?.name}: {result.finalScoreA} • {right?.name}: {result.finalScoreB}
               </div>
+              <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-[11px] font-semibold text-slate-300">
+                <span className="rounded-full bg-slate-900 px-3 py-1 font-mono">Seed {result.seed}</span>
+                <span className="rounded-full bg-slate-900 px-3 py-1">Rules v{result.rulesVersion}</span>
+                <Button variant="outline" size="sm" onClick={() => runBattle(result.seed, result.day)} className="text-[10px] sm:text-[11px]">
+                  Replay
+                </Button>
+                <Button variant="subtle" size="sm" onClick={copyReplayLink} className="text-[10px] sm:text-[11px]">
+                  {copied ? "Link copied" : "Copy replay link"}
+                </Button>
+                <a
+                  href={battlePath({ left: left.id, right: right.id, seed: result.seed, day: result.day })}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="rounded-full border border-white/20 px-3 py-1 text-[10px] text-slate-200 transition hover:bg-white/10 sm:text-[11px]"
+                >
+                  Share result card
+                </a>
+              </div>
             </div>
           )}
+          <MatchupOdds left={left} right={right} simulation={simulation} />
           {timeline.length > 0 && (
             <div className="rounded-2xl border border-white/10 bg-[#0f1329]/80 p-4 text-xs backdrop-blur">
               <div className="mb-2 text-sm font-black tracking-wide text-slate-200">Battle Flow</div>
@@ -2031,21 +2032,718 @@ function BattleArena({ characters, slots, setSlots, onOpenCharacter, pulseKey })
                   <div key={phase.round} className="rounded-xl border border-white/10 bg-[#141a38]/80 p-3 text-slate-200">
                     <div className="text-[11px] font-bold tracking-wide text-slate-400">Round {phase.round}</div>
                     <div className="mt-2 space-y-1">
+                      {phase.powerA && <div className="text-slate-400">A leads with {phase.powerA}</div>}
                       <div>A Strike: {phase.strikeA}</div>
                       <div>A Luck: {phase.luckA}</div>
                       <div>A Health: {phase.healthA}%</div>
-                      <div className="pt-1">B Strike: {phase.strikeB}</div>
+                      {phase.powerB && <div className="pt-1 text-slate-400">B leads with {phase.powerB}</div>}
+                      <div className={phase.powerB ? undefined : "pt-1"}>B Strike: {phase.strikeB}</div>
                       <div>B Luck: {phase.luckB}</div>
                       <div>B Health: {phase.healthB}%</div>
                     </div>
+                    {phase.notes?.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {phase.notes.map((note) => (
+                          <li key={note} className="rounded-lg bg-amber-400/10 px-2 py-1 font-semibold text-amber-200">
+                            {note}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
+
+const TEAM_ACCENTS = ["text-amber-200", "text-sky-300", "text-emerald-300", "text-rose-300", "text-fuchsia-300", "text-lime-300"];
+
+const MATRIX_TAB = "matrix";
+const TOURNAMENT_TAB = "tournament";
+const EXTRA_TAB_LABELS = { [MATRIX_TAB]: "Head-to-head", [TOURNAMENT_TAB]: "Tournament" };
+
+function ArenaModeTabs({ mode, onChange }) {
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2" role="tablist" aria-label="Arena mode">
+      {[...ARENA_MODE_ORDER, MATRIX_TAB, TOURNAMENT_TAB].map((value) => (
+        <button
+          key={value}
+          type="button"
+          role="tab"
+          aria-selected={mode === value}
+          onClick={() => onChange(value)}
+          className={cx(
+            "rounded-full border px-4 py-1.5 text-xs font-semibold transition",
+            mode === value
+              ? "border-amber-200/80 bg-amber-200/20 text-white"
+              : "border-white/20 bg-white/5 text-white/75 hover:border-white/40 hover:bg-white/10"
+          )}
+        >
+          {ARENA_MODES[value]?.label || EXTRA_TAB_LABELS[value]}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function SquadMemberCard({ char, accent, health, synergy, eliminated, isWinner, onRelease, onOpen }) {
+  return (
+    <div
+      className={cx(
+        "flex items-center gap-3 rounded-2xl border bg-[#141a38]/80 p-3 transition",
+        isWinner ? "border-amber-300/80" : "border-white/10",
+        eliminated ? "opacity-40 grayscale" : ""
+      )}
+    >
+      <button type="button" onClick={() => onOpen(char)} className="flex-none" aria-label={`Open ${char.name}`}>
+        <Insignia label={char.name} size={40} />
+      </button>
+      <div className="min-w-0 flex-1">
+        <div className="flex items-center justify-between gap-2">
+          <span className={cx("truncate text-sm font-black", accent)}>{char.name}</span>
+          {eliminated ? (
+            <span className="flex items-center gap-1 text-[10px] font-bold text-rose-300">
+              <Skull size={12} /> Out
+            </span>
+          ) : (
+            <span className="text-[11px] font-bold text-slate-300">{health}%</span>
+          )}
+        </div>
+        <div className="mt-1 h-1.5 rounded-full bg-slate-800">
+          <div
+            className="h-1.5 rounded-full bg-gradient-to-r from-emerald-400 to-amber-300 transition-all duration-500"
+            style={{ width: `${health}%` }}
+          />
+        </div>
+        {synergy > 0 && (
+          <div className="mt-1 text-[10px] font-semibold text-emerald-300">Faction synergy +{Math.round(synergy * 100)}%</div>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => onRelease(char.id)}
+        className="flex-none rounded-full p-1 text-slate-400 transition hover:bg-white/10 hover:text-white"
+        aria-label={`Remove ${char.name} from the squad`}
+      >
+        <X size={14} />
+      </button>
+    </div>
+  );
+}
+
+function TeamArena({ characters, mode, squad, setSquad, onOpenCharacter, pulseKey, replay, onBattleComplete }) {
+  const config = ARENA_MODES[mode];
+  const capacity = arenaCapacity(mode);
+  const members = useMemo(
+    () => squad.map((id) => characters.find((char) => char.id === id)).filter(Boolean),
+    [characters, squad]
+  );
+  const teams = useMemo(() => assembleTeams(members, mode), [members, mode]);
+  const ready = isSquadReady(mode, members.length);
+  const [running, setRunning] = useState(false);
+  const [rounds, setRounds] = useState([]);
+  const [health, setHealth] = useState({});
+  const [result, setResult] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [arenaPulse, setArenaPulse] = useState(false);
+  const replayedRef = useRef(null);
+  const squadKey = squad.join(",");
+
+  useEffect(() => {
+    if (!pulseKey) return;
+    setArenaPulse(true);
+    const timer = setTimeout(() => setArenaPulse(false), 700);
+    return () => clearTimeout(timer);
+  }, [pulseKey]);
+
+  useEffect(() => {
+    setRounds([]);
+    setHealth({});
+    setResult(null);
+  }, [squadKey, mode]);
+
+  const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  const runBattle = async (seed) => {
+    if (!ready || running) return;
+    const computed = computeTeamBattle(teams, seed ? { seed, mode } : { mode });
+    setRunning(true);
+    setResult(null);
+    setRounds([]);
+    setHealth({});
+    for (const round of computed.timeline) {
+      setRounds((prev) => [...prev, round]);
+      setHealth(round.health);
+      // eslint-disable-next-line no-await-in-loop
+      await delay(650);
+    }
+    setRunning(false);
+    setResult(computed);
+    recordBattle(createTeamRecord(computed));
+    onBattleComplete?.({ mode, squad: members.map((char) => char.id), seed: computed.seed });
+  };
+
+  // The replay effect only re-runs when the replay or the fighters change, so
+  // it calls the latest runBattle through a ref.
+  const runBattleRef = useRef(runBattle);
+  useEffect(() => {
+    runBattleRef.current = runBattle;
+  });
+
+  useEffect(() => {
+    if (!replay || replayedRef.current === replay || replay.mode !== mode) return;
+    if (replay.squad.join(",") !== squadKey || !ready) return;
+    replayedRef.current = replay;
+    runBattleRef.current(replay.seed);
+  }, [replay, mode, squadKey, ready]);
+
+  const release = (id) => setSquad((prev) => prev.filter((item) => item !== id));
+
+  const runRandom = () => {
+    const rng = seededRandom(`squad|${Date.now()}`);
+    const shuffled = seededShuffle(characters, rng);
+    setSquad(shuffled.slice(0, capacity).map((char) => char.id));
+  };
+
+  const copyReplayLink = async () => {
+    if (!result || typeof window === "undefined") return;
+    const url = `${window.location.origin}/?${teamBattleQueryString({
+      mode,
+      squad: members.map((char) => char.id),
+      seed: result.seed,
+    })}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1600);
+    } catch (error) {
+      console.warn("[arena] Unable to copy replay link", error);
+    }
+  };
+
+  const synergyFor = (id) => result?.fighters.find((fighter) => fighter.id === id)?.synergy.bonus || 0;
+  const previewSynergy = (char, team) => (mode === "royale" ? 0 : teamSynergy(char, team).bonus);
+  const eliminatedIds = new Set(rounds.flatMap((round) => round.eliminated));
+  const nameOf = (id) => characters.find((char) => char.id === id)?.name || id;
+  const teamLabel = (index) => (mode === "royale" ? nameOf(teams[index]?.[0]?.id) : `Team ${index + 1}`);
+  const slotGroups =
+    mode === "royale"
+      ? [{ index: 0, label: "Combatants", members, size: capacity }]
+      : Array.from({ length: config.teams }, (_, index) => ({
+          index,
+          label: `Team ${index + 1}`,
+          members: teams[index] || [],
+          size: config.teamSize,
+        }));
+
+  return (
+    <motion.div
+      layout
+      animate={arenaPulse ? { scale: [1, 1.02, 0.99, 1.01, 1], boxShadow: "0 30px 100px rgba(15,23,42,0.55)" } : {}}
+      transition={{ type: "spring", stiffness: 200, damping: 18 }}
+    >
+      <Card className="border border-white/10 bg-[#090b1a]/95 text-slate-100 shadow-[0_40px_120px_rgba(5,8,20,0.65)]">
+        <CardHeader className="border-b border-white/10 pb-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <CardTitle className="flex items-center gap-2 text-2xl font-extrabold text-white">
+              <Users /> {config.label} Arena
+            </CardTitle>
+            <Badge className="bg-slate-800/70 text-slate-300">
+              {mode === "royale"
+                ? "Last one standing wins"
+                : `Shared factions grant +${percent(BATTLE_RULES.team.synergyPerAlly)} per ally, up to +${percent(BATTLE_RULES.team.synergyCap)}`}
+            </Badge>
+            <div className="ml-auto text-xs font-semibold text-slate-300">
+              {members.length}/{capacity} combatants — add fighters from the grid
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className={cx("grid gap-4", slotGroups.length > 1 ? "md:grid-cols-2" : "")}>
+            {slotGroups.map((group) => (
+              <div key={group.index} className="space-y-2 rounded-3xl border border-slate-800/60 bg-[#0f1329]/80 p-4">
+                <div className={cx("text-xs font-black tracking-[0.3em]", TEAM_ACCENTS[group.index])}>
+                  {group.label}
+                  {result && mode !== "royale" && result.winnerTeam === group.index && " · Victors"}
+                </div>
+                {group.members.map((char, memberIndex) => (
+                  <SquadMemberCard
+                    key={char.id}
+                    char={char}
+                    accent={TEAM_ACCENTS[mode === "royale" ? memberIndex : group.index]}
+                    health={health[char.id] ?? 100}
+                    synergy={result ? synergyFor(char.id) : previewSynergy(char, group.members)}
+                    eliminated={eliminatedIds.has(char.id)}
+                    isWinner={!!result?.winners.includes(char.id)}
+                    onRelease={release}
+                    onOpen={onOpenCharacter}
+                  />
+                ))}
+                {Array.from({ length: Math.max(0, group.size - group.members.length) }).map((_, index) => (
+                  <div
+                    key={`empty-${index}`}
+                    className="flex h-16 items-center justify-center rounded-2xl border border-dashed border-white/15 text-[11px] font-semibold text-slate-400"
+                  >
+                    Open slot
                   </div>
                 ))}
               </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center justify-center gap-2">
+            <Button
+              variant="gradient"
+              size="sm"
+              onClick={() => runBattle()}
+              disabled={!ready || running}
+              className="disabled:cursor-not-allowed disabled:opacity-50"
+            >
+              <Swords size={14} /> Fight
+            </Button>
+            <Button variant="outline" size="sm" onClick={runRandom} disabled={running}>
+              Random squad
+            </Button>
+            <Button variant="destructive" size="sm" onClick={() => setSquad([])} disabled={running}>
+              Reset Arena
+            </Button>
+          </div>
+          {result && (
+            <div className="rounded-2xl border border-white/10 bg-[#0d1126] px-4 py-5 text-center">
+              <div className="text-xs font-bold tracking-wide text-slate-500">Winner</div>
+              <div className="mt-2 rounded-xl bg-slate-900 px-4 py-3 text-lg font-black text-slate-100">
+                {mode === "royale"
+                  ? nameOf(result.winners[0])
+                  : `${teamLabel(result.winnerTeam)} — ${result.winners.map(nameOf).join(" & ")}`}
+              </div>
+              <div className="mt-2 text-xs text-slate-400">
+                Final standings — {result.standings.map((id, index) => `${index + 1}. ${nameOf(id)}`).join(" • ")}
+              </div>
+              <div className="mt-3 flex flex-wrap items-center justify-center gap-2 text-[11px] font-semibold text-slate-300">
+                <span className="rounded-full bg-slate-900 px-3 py-1 font-mono">Seed {result.seed}</span>
+                <span className="rounded-full bg-slate-900 px-3 py-1">Rules v{result.rulesVersion}</span>
+                <Button variant="outline" size="sm" onClick={() => runBattle(result.seed)} className="text-[10px] sm:text-[11px]">
+                  Replay
+                </Button>
+                <Button variant="subtle" size="sm" onClick={copyReplayLink} className="text-[10px] sm:text-[11px]">
+                  {copied ? "Link copied" : "Copy replay link"}
+                </Button>
+              </div>
+            </div>
+          )}
+          {rounds.length > 0 && (
+            <div className="rounded-2xl border border-white/10 bg-[#0f1329]/80 p-4 text-xs backdrop-blur">
+              <div className="mb-2 text-sm font-black tracking-wide text-slate-200">Battle Flow</div>
+              <div className="grid gap-3 sm:grid-cols-2 md:grid-cols-3">
+                {rounds.map((round) => (
+                  <div key={round.round} className="rounded-xl border border-white/10 bg-[#141a38]/80 p-3 text-slate-200">
+                    <div className="text-[11px] font-bold tracking-wide text-slate-400">Round {round.round}</div>
+                    <ul className="mt-2 space-y-1">
+                      {round.attacks.map((attack, index) => (
+                        <li key={`${attack.attacker}-${index}`}>
+                          {nameOf(attack.attacker)} → {nameOf(attack.target)}: {attack.damage} dmg
+                          <span className="text-slate-500"> (strike {attack.strike}, luck {attack.luck})</span>
+                          {attack.note && <div className="font-semibold text-amber-200">{attack.note}</div>}
+                        </li>
+                      ))}
+                    </ul>
+                    {round.eliminated.length > 0 && (
+                      <div className="mt-2 flex flex-wrap gap-1">
+                        {round.eliminated.map((id) => (
+                          <span key={id} className="inline-flex items-center gap-1 rounded-full bg-rose-500/20 px-2 py-0.5 font-bold text-rose-200">
+                            <Skull size={11} /> {nameOf(id)} eliminated
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </motion.div>
+  );
+}
+
+function matrixCellStyle(rate) {
+  const strength = Math.min(1, Math.abs(rate - 0.5) * 2);
+  const rgb = rate >= 0.5 ? "52,211,153" : "251,113,133";
+  return { backgroundColor: `rgba(${rgb},${0.12 + strength * 0.5})` };
+}
+
+function HeadToHeadPanel({ characters, squad, setSquad, onOpenCharacter }) {
+  const [simulation, runSimulation, resetSimulation] = useSimulationWorker();
+  const members = useMemo(
+    () => squad.map((id) => characters.find((char) => char.id === id)).filter(Boolean),
+    [characters, squad]
+  );
+  const squadKey = squad.join(",");
+  useEffect(() => {
+    resetSimulation();
+  }, [squadKey, resetSimulation]);
+
+  const running = simulation.status === "running";
+  const matrix = simulation.status === "done" ? simulation.result : null;
+  const nameOf = (id) => members.find((char) => char.id === id)?.name || id;
+  const release = (id) => setSquad((prev) => prev.filter((item) => item !== id));
+  const runRandom = () => {
+    const rng = seededRandom(`matrix|${Date.now()}`);
+    const shuffled = seededShuffle(characters, rng);
+    setSquad(shuffled.slice(0, MATRIX_LIMIT).map((char) => char.id));
+  };
+  const pairings = (members.length * (members.length - 1)) / 2;
+
+  return (
+    <Card className="border border-white/10 bg-[#090b1a]/95 text-slate-100 shadow-[0_40px_120px_rgba(5,8,20,0.65)]">
+      <CardHeader className="border-b border-white/10 pb-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <CardTitle className="flex items-center gap-2 text-2xl font-extrabold text-white">
+            <Dices /> Head-to-head Matrix
+          </CardTitle>
+          <Badge className="bg-slate-800/70 text-slate-300">
+            {SIMULATION_RUNS.toLocaleString()} fights per pairing
+          </Badge>
+          <div className="ml-auto text-xs font-semibold text-slate-300">
+            {members.length}/{MATRIX_LIMIT} selected — send characters here from their cards
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="flex flex-wrap gap-2">
+          {members.map((char) => (
+            <span
+              key={char.id}
+              className="inline-flex items-center gap-2 rounded-full border border-white/15 bg-[#141a38]/80 px-3 py-1 text-xs font-semibold"
+            >
+              <button type="button" onClick={() => onOpenCharacter(char)} className="hover:underline">
+                {char.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => release(char.id)}
+                aria-label={`Remove ${char.name}`}
+                className="text-slate-400 hover:text-white"
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          {!members.length && (
+            <span className="text-xs font-semibold text-slate-400">No characters selected yet.</span>
+          )}
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant="gradient"
+            size="sm"
+            onClick={() => runSimulation("matrix", members)}
+            disabled={members.length < 2 || running}
+          >
+            {running ? `Simulating… ${Math.round(simulation.progress * 100)}%` : `Simulate ${pairings || ""} pairings`}
+          </Button>
+          <Button variant="outline" size="sm" onClick={runRandom} disabled={running}>
+            Random dozen
+          </Button>
+          <Button variant="destructive" size="sm" onClick={() => setSquad([])} disabled={running}>
+            Clear
+          </Button>
+        </div>
+        {running && (
+          <div className="h-2 overflow-hidden rounded-full bg-slate-800">
+            <div className="h-full bg-amber-300 transition-all" style={{ width: `${simulation.progress * 100}%` }} />
+          </div>
+        )}
+        {simulation.status === "error" && (
+          <div className="rounded-2xl border border-red-400/40 bg-red-500/10 px-4 py-3 text-xs font-semibold text-red-200">
+            {simulation.error}
+          </div>
+        )}
+        {matrix && (
+          <>
+            <div className="overflow-x-auto rounded-2xl border border-white/10 bg-[#0f1329]/80 p-4">
+              <table className="text-center text-xs">
+                <thead>
+                  <tr>
+                    <th className="p-2 text-left text-[11px] font-semibold text-slate-400">Row beats column</th>
+                    {matrix.ids.map((id) => (
+                      <th key={id} className="max-w-[6rem] truncate p-2 font-bold text-slate-200" title={nameOf(id)}>
+                        {nameOf(id)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {matrix.ids.map((rowId) => (
+                    <tr key={rowId}>
+                      <th className="whitespace-nowrap p-2 text-left font-bold text-slate-200">{nameOf(rowId)}</th>
+                      {matrix.ids.map((colId) =>
+                        rowId === colId ? (
+                          <td key={colId} className="p-2 text-slate-600">—</td>
+                        ) : (
+                          <td key={colId} className="p-2 font-bold text-white" style={matrixCellStyle(matrix.cells[rowId][colId])}>
+                            {percent(matrix.cells[rowId][colId])}
+                          </td>
+                        )
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <ol className="grid gap-2 text-xs sm:grid-cols-2 lg:grid-cols-3">
+              {matrix.standings.map((entry, index) => (
+                <li key={entry.id} className="flex items-center gap-3 rounded-xl border border-white/10 bg-[#141a38]/80 px-3 py-2">
+                  <span className="font-black text-slate-400">#{index + 1}</span>
+                  <span className="flex-1 truncate font-bold text-slate-100">{entry.name}</span>
+                  <span className="font-mono text-amber-200">{percent(entry.overall)}</span>
+                </li>
+              ))}
+            </ol>
+            <div className="font-mono text-[11px] text-slate-400">
+              Seed {matrix.seed} · {matrix.runs.toLocaleString()} fights per pairing
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+function downloadFile(filename, contents, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function BracketMatch({ match, onOpen }) {
+  const row = (entrant, health) => {
+    if (!entrant) {
+      return <div className="px-3 py-1.5 text-[11px] font-semibold text-slate-500">Bye</div>;
+    }
+    const won = match.winner === entrant.id;
+    return (
+      <button
+        type="button"
+        onClick={() => onOpen(entrant.id)}
+        className={cx(
+          "flex w-full items-center justify-between gap-2 px-3 py-1.5 text-left text-xs transition hover:bg-white/10",
+          won ? "font-black text-amber-200" : "font-semibold text-slate-400"
+        )}
+      >
+        <span className="truncate">
+          <span className="mr-1 text-[10px] text-slate-500">{entrant.seed}</span>
+          {entrant.name}
+        </span>
+        {health != null && <span className="text-[10px]">{health}%</span>}
+      </button>
+    );
+  };
+  return (
+    <div className="divide-y divide-white/10 overflow-hidden rounded-xl border border-white/10 bg-[#141a38]/80">
+      {row(match.a, match.healthA)}
+      {row(match.b, match.healthB)}
+    </div>
+  );
+}
+
+function TournamentPanel({ results, data, onOpenCharacter }) {
+  const [source, setSource] = useState("results");
+  const [format, setFormat] = useState("single");
+  const [size, setSize] = useState(8);
+  const [seed, setSeed] = useState("");
+  const [outcome, setOutcome] = useState(null);
+  const [problem, setProblem] = useState(null);
+  const factions = useMemo(
+    () => Array.from(new Set(data.flatMap((char) => char.faction || []))).filter(Boolean).sort((a, b) => a.localeCompare(b)),
+    [data]
+  );
+  const pool = useMemo(
+    () => (source === "results" ? results : data.filter((char) => (char.faction || []).includes(source))),
+    [data, results, source]
+  );
+  const sizes = TOURNAMENT_FORMATS[format].sizes;
+
+  useEffect(() => {
+    if (!sizes.includes(size)) setSize(sizes[1] || sizes[0]);
+  }, [sizes, size]);
+
+  const run = () => {
+    try {
+      const result = runTournament(pool, { format, size, ...(seed.trim() ? { seed: seed.trim() } : {}) });
+      setOutcome(result);
+      setSeed(result.seed);
+      setProblem(null);
+    } catch (error) {
+      setOutcome(null);
+      setProblem(error.message);
+    }
+  };
+
+  const openById = (id) => {
+    const char = data.find((item) => item.id === id);
+    if (char) onOpenCharacter(char);
+  };
+
+  const exportName = outcome ? `loremaker-tournament-${outcome.format}-${outcome.seed}` : "";
+
+  return (
+    <Card className="border border-white/10 bg-[#090b1a]/95 text-slate-100 shadow-[0_40px_120px_rgba(5,8,20,0.65)]">
+      <CardHeader className="border-b border-white/10 pb-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <CardTitle className="flex items-center gap-2 text-2xl font-extrabold text-white">
+            <Crown /> Tournament
+          </CardTitle>
+          <Badge className="bg-slate-800/70 text-slate-300">Seeded by total power</Badge>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid gap-3 text-xs font-semibold text-slate-300 sm:grid-cols-2 lg:grid-cols-4">
+          <label className="flex flex-col gap-1">
+            Entrants
+            <select
+              value={source}
+              onChange={(event) => setSource(event.target.value)}
+              className="rounded-xl border border-white/20 bg-black/40 px-3 py-2 text-sm text-white"
+            >
+              <option value="results">Current results ({results.length})</option>
+              {factions.map((name) => (
+                <option key={name} value={name}>
+                  {name}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Format
+            <select
+              value={format}
+              onChange={(event) => setFormat(event.target.value)}
+              className="rounded-xl border border-white/20 bg-black/40 px-3 py-2 text-sm text-white"
+            >
+              {Object.entries(TOURNAMENT_FORMATS).map(([value, config]) => (
+                <option key={value} value={value}>
+                  {config.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Field size
+            <select
+              value={size}
+              onChange={(event) => setSize(Number(event.target.value))}
+              className="rounded-xl border border-white/20 bg-black/40 px-3 py-2 text-sm text-white"
+            >
+              {sizes.map((value) => (
+                <option key={value} value={value}>
+                  Top {value}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="flex flex-col gap-1">
+            Seed
+            <Input value={seed} onChange={(event) => setSeed(event.target.value)} placeholder="Random" className="font-mono" />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button variant="gradient" size="sm" onClick={run}>
+            <Swords size={14} /> Run tournament
+          </Button>
+          {outcome && (
+            <>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => downloadFile(`${exportName}.json`, JSON.stringify(outcome, null, 2), "application/json")}
+              >
+                Export JSON
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => downloadFile(`${exportName}.csv`, tournamentToCsv(outcome), "text/csv")}>
+                Export CSV
+              </Button>
+            </>
+          )}
+          <span className="text-[11px] text-slate-400">
+            {Math.min(pool.length, size)} of {pool.length} characters qualify
+          </span>
+        </div>
+        {problem && (
+          <div className="rounded-2xl border border-red-400/40 bg-red-500/10 px-4 py-3 text-sm font-semibold text-red-200">{problem}</div>
+        )}
+        {outcome?.champion && (
+          <div className="rounded-2xl border border-white/10 bg-[#0d1126] px-4 py-5 text-center">
+            <div className="text-xs font-bold tracking-wide text-slate-500">Champion</div>
+            <div className="mt-2 rounded-xl bg-slate-900 px-4 py-3 text-lg font-black text-slate-100">
+              {outcome.champion.name} <span className="text-sm text-slate-400">(seed {outcome.champion.seed})</span>
+            </div>
+            <div className="mt-2 font-mono text-[11px] text-slate-400">
+              Seed {outcome.seed} · Rules v{outcome.rulesVersion}
+            </div>
+          </div>
+        )}
+        {outcome?.rounds && (
+          <div className="overflow-x-auto pb-2">
+            <div className="flex min-w-max gap-4">
+              {outcome.rounds.map((round) => (
+                <div key={round.round} className="flex w-52 flex-col">
+                  <div className="mb-2 text-[11px] font-bold tracking-[0.3em] text-slate-400">{round.name}</div>
+                  <div className="flex flex-1 flex-col justify-around gap-3">
+                    {round.matches.map((match) => (
+                      <BracketMatch key={match.id} match={match} onOpen={openById} />
+                    ))}
+                  </div>
+                </div>
+              ))}
             </div>
-          )}
-        </CardContent>
-      </Card>
-    </motion.div>
+          </div>
+        )}
+        {outcome?.standings && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-xs">
+              <thead className="text-[10px] uppercase tracking-[0.25em] text-slate-400">
+                <tr>
+                  <th className="py-2 pr-3">Pos</th>
+                  <th className="py-2 pr-3">Character</th>
+                  <th className="py-2 pr-3">Seed</th>
+                  <th className="py-2 pr-3">W</th>
+                  <th className="py-2 pr-3">L</th>
+                  <th className="py-2">Health +/-</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outcome.standings.map((row, index) => (
+                  <tr key={row.id} className="border-t border-white/10">
+                    <td className="py-2 pr-3 font-black text-white">{index + 1}</td>
+                    <td className="py-2 pr-3">
+                      <button type="button" onClick={() => openById(row.id)} className="font-bold text-slate-100 hover:underline">
+                        {row.name}
+                      </button>
+                    </td>
+                    <td className="py-2 pr-3 text-slate-400">{row.seed}</td>
+                    <td className="py-2 pr-3 text-emerald-300">{row.wins}</td>
+                    <td className="py-2 pr-3 text-rose-300">{row.losses}</td>
+                    <td className="py-2 text-slate-300">{row.healthDiff > 0 ? `+${row.healthDiff}` : row.healthDiff}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
   );
 }
 
@@ -2060,6 +2758,10 @@ function SidebarFilters({ data, filters, setFilters, combineAND, setCombineAND,
   const statuses = useMemo(() => uniq(data.map((item) => item.status || "")), [data]);
   const stories = useMemo(() => uniq(data.flatMap((item) => item.stories || [])), [data]);
   const powers = useMemo(() => uniq(data.flatMap((item) => (item.powers || []).map((p) => p.name))), [data]);
+  const bounds = useMemo(
+    () => Object.fromEntries(RANGE_FILTERS.map((range) => [range.key, rangeBounds(data, range.key)])),
+    [data]
+  );
   const [searchTerm, setSearchTerm] = useState("");
 
   const toggle = (key, value, single = false) => {
@@ -2075,6 +2777,14 @@ function SidebarFilters({ data, filters, setFilters, combineAND, setCombineAND,
       return next;
     });
   };
+  const setRange = (key, range) => {
+    setFilters((prev) => {
+      const next = { ...prev };
+      if (range) next[key] = range;
+      else delete next[key];
+      return next;
+    });
+  };
   const blendTooltipId = useId();
 
   return (
@@ -2164,6 +2874,15 @@ function SidebarFilters({ data, filters, setFilters, combineAND, setCombineAND,
         onToggle={(value) => toggle("stories", value)}
         searchTerm={searchTerm}
       />
+      {RANGE_FILTERS.map((range) => (
+        <RangeFilterSection
+          key={range.key}
+          title={range.label}
+          bounds={bounds[range.key]}
+          value={filters[range.key]}
+          onChange={(value) => setRange(range.key, value)}
+        />
+      ))}
     </div>
   );
 }
@@ -2309,9 +3028,134 @@ function FilterDrawer({ open, onClose, children }) {
 }
 
 
+function Highlighted({ text, terms }) {
+  if (!terms?.length) return text;
+  return highlightSegments(text, terms).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="rounded bg-amber-300/30 px-0.5 text-inherit">
+        {segment.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )
+  );
+}
+
+function SearchErrorNotice({ id, value, error }) {
+  const end = Math.max(error.end, error.start + 1);
+  return (
+    <div id={id} role="alert" className="border-b border-white/10 px-3 py-2 text-xs">
+      <p className="font-semibold text-rose-300">{error.message}</p>
+      <p className="mt-1 whitespace-pre-wrap break-all font-mono text-white/70">
+        {value.slice(0, error.start)}
+        <mark className="rounded bg-rose-500/40 text-white">{value.slice(error.start, end) || " "}</mark>
+        {value.slice(end)}
+      </p>
+      <p className="mt-1 text-white/50">Showing plain text matches until the query is fixed.</p>
+    </div>
+  );
+}
+
+function SearchAutocomplete({ id, value, onChange, suggestions = [], onPick, error, className = "", ...props }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const listId = `${id}-suggestions`;
+  const errorId = `${id}-error`;
+  const visible = open && Boolean(value.trim()) && suggestions.length > 0;
+  const showError = open && Boolean(error);
+
+  useEffect(() => setActive(-1), [value]);
+
+  const pick = (hit) => {
+    setOpen(false);
+    onPick?.(hit.character);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!visible) {
+      if (event.key === "ArrowDown" && suggestions.length) setOpen(true);
+      return;
+    }
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActive((index) => (index + 1) % suggestions.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActive((index) => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (event.key === "Enter" && active >= 0) {
+      event.preventDefault();
+      pick(suggestions[active]);
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <>
+      <Input
+        {...props}
+        id={id}
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        autoComplete="off"
+        aria-autocomplete="list"
+        aria-expanded={visible}
+        aria-controls={listId}
+        aria-activedescendant={visible && active >= 0 ? `${listId}-${active}` : undefined}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={showError ? errorId : undefined}
+        className={cx(className, error ? "ring-2 ring-rose-400/70" : "")}
+      />
+      {(visible || showError) && (
+        <div className="absolute inset-x-0 top-full z-50 mt-2 overflow-hidden rounded-2xl border border-white/15 bg-[#070b1c]/95 shadow-[0_20px_60px_rgba(8,8,20,0.6)] backdrop-blur-xl">
+          {showError && <SearchErrorNotice id={errorId} value={value} error={error} />}
+          {visible && (
+            <ul id={listId} role="listbox" className="p-1">
+              {suggestions.map((hit, index) => (
+                <li
+                  key={hit.id}
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={index === active}
+                  onMouseDown={(event) => {
+                    event.preventDefault();
+                    pick(hit);
+                  }}
+                  onMouseEnter={() => setActive(index)}
+                  className={cx(
+                    "flex cursor-pointer items-center justify-between gap-3 rounded-xl px-3 py-2 text-sm",
+                    index === active ? "bg-white/15" : ""
+                  )}
+                >
+                  <span className="truncate font-semibold text-white">
+                    <Highlighted text={hit.character.name} terms={hit.terms} />
+                  </span>
+                  <span className="flex-none text-[10px] font-semibold uppercase tracking-[0.2em] text-white/50">
+                    {SEARCH_FIELD_LABELS[hit.field]}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
+
 function ToolsBar({
   query,
   onQueryChange,
+  suggestions,
+  onPickSuggestion,
+  searchError,
   sortMode,
   onSortModeChange,
   onOpenFilters,
@@ -2443,12 +3287,15 @@ function ToolsBar({
               <span className="sr-only" id="universe-search-label">
                 Search heroes, powers, locations and tags
               </span>
-              <Input
+              <SearchAutocomplete
                 aria-labelledby="universe-search-label"
                 id="universe-search"
                 value={query}
-                onChange={(event) => onQueryChange(event.target.value)}
-                placeholder="Search characters, powers, locations, tags…"
+                onChange={onQueryChange}
+                suggestions={suggestions}
+                onPick={onPickSuggestion}
+                error={searchError}
+                placeholder='Search, or try faction:"Celestial Wardens" power>=8'
                 className="w-full bg-white/15 pl-10 pr-3 text-sm text-white placeholder:text-white/60"
               />
               <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-white/70" aria-hidden="true" />
@@ -2549,11 +3396,14 @@ function ToolsBar({
                 <div className="flex flex-wrap items-center gap-2 sm:gap-3">
                   <label className="relative flex-1 min-w-[220px] sm:min-w-[260px]" htmlFor="universe-search">
                     <span className="sr-only">Search the universe</span>
-                    <Input
+                    <SearchAutocomplete
                       id="universe-search"
                       value={query}
-                      onChange={(event) => onQueryChange(event.target.value)}
-                      placeholder="Search characters, powers, locations, tags…"
+                      onChange={onQueryChange}
+                      suggestions={suggestions}
+                      onPick={onPickSuggestion}
+                      error={searchError}
+                      placeholder='Search, or try faction:"Celestial Wardens" power>=8'
                       className="w-full bg-white/15 pl-10 pr-3 text-sm text-white placeholder:text-white/60"
                     />
                     <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-white/70" aria-hidden="true" />
@@ -2592,11 +3442,14 @@ function ToolsBar({
                 <div className="flex flex-wrap items-center gap-2 sm:gap-3">
                   <label className="relative flex-1 min-w-[220px] sm:min-w-[260px]" htmlFor="universe-search">
                     <span className="sr-only">Search the universe</span>
-                    <Input
+                    <SearchAutocomplete
                       id="universe-search"
                       value={query}
-                      onChange={(event) => onQueryChange(event.target.value)}
-                      placeholder="Search characters, powers, locations, tags…"
+                      onChange={onQueryChange}
+                      suggestions={suggestions}
+                      onPick={onPickSuggestion}
+                      error={searchError}
+                      placeholder='Search, or try faction:"Celestial Wardens" power>=8'
                       className="w-full bg-white/15 pl-10 pr-3 text-sm text-white placeholder:text-white/60"
                     />
                     <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-white/70" aria-hidden="true" />
@@ -2716,13 +3569,196 @@ function ToolsBar({
 }
 
 
-function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilters }) {
+function describePreset(preset) {
+  const parts = [];
+  if (preset.query) parts.push(`"${preset.query}"`);
+  Object.entries(preset.filters || {}).forEach(([key, value]) => {
+    if (isRangeFilter(key)) {
+      parts.push(`${RANGE_FILTERS.find((range) => range.key === key).label}: ${formatRange(value)}`);
+    } else {
+      parts.push(`${key}: ${normaliseArray(value).join(", ")}`);
+    }
+  });
+  if (preset.combineAND) parts.push("match all");
+  return parts.join(" · ") || "Everything";
+}
+
+function SavedSearches({ view, onApply }) {
+  const [presets, updatePresets] = useFilterPresets();
+  const [naming, setNaming] = useState(false);
+  const [draftName, setDraftName] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const [notice, setNotice] = useState(null);
+  const fileRef = useRef(null);
+  const currentKey = useMemo(() => presetKey(view), [view]);
+
+  const saveCurrent = (event) => {
+    event.preventDefault();
+    updatePresets((list) => addPreset(list, createPreset(draftName, view)));
+    setDraftName("");
+    setNaming(false);
+  };
+
+  const commitRename = (event) => {
+    event.preventDefault();
+    updatePresets((list) => renamePreset(list, editingId, editName));
+    setEditingId(null);
+  };
+
+  const downloadPresets = () => {
+    const url = URL.createObjectURL(new Blob([exportPresets(presets)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "loremaker-saved-searches.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const uploadPresets = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    let outcome = null;
+    try {
+      const text = await file.text();
+      updatePresets((list) => {
+        outcome = importPresets(text, list);
+        return outcome.presets;
+      });
+    } catch (error) {
+      console.warn("[filter-presets] Could not read import file", error);
+      setNotice("Could not read that file.");
+      return;
+    }
+    const skipped = outcome.errors.length ? ` Skipped ${outcome.errors.length}: ${outcome.errors.join("; ")}` : "";
+    setNotice(`Imported ${outcome.imported} saved ${outcome.imported === 1 ? "search" : "searches"}.${skipped}`);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-white/60">
+        <Bookmark className="h-4 w-4 text-amber-200" /> Saved searches
+        <div className="ml-auto flex items-center gap-1 normal-case tracking-normal">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={downloadPresets}
+            disabled={!presets.length}
+            className="px-2 text-[11px] text-white/60 hover:text-white disabled:opacity-40"
+          >
+            <Download className="h-3.5 w-3.5" aria-hidden="true" /> Export
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => fileRef.current?.click()}
+            className="px-2 text-[11px] text-white/60 hover:text-white"
+          >
+            <Upload className="h-3.5 w-3.5" aria-hidden="true" /> Import
+          </Button>
+          <input ref={fileRef} type="file" accept="application/json,.json" className="hidden" onChange={uploadPresets} />
+        </div>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {presets.map((preset) =>
+          editingId === preset.id ? (
+            <form key={preset.id} onSubmit={commitRename} className="flex items-center gap-1">
+              <Input
+                autoFocus
+                value={editName}
+                onChange={(event) => setEditName(event.target.value)}
+                aria-label="Saved search name"
+                className="h-8 w-44 py-1 text-xs"
+              />
+              <Button type="submit" variant="subtle" size="sm" aria-label="Save name" className="px-2">
+                <Check className="h-3.5 w-3.5" aria-hidden="true" />
+              </Button>
+              <Button type="button" variant="ghost" size="sm" aria-label="Cancel rename" onClick={() => setEditingId(null)} className="px-2">
+                <X className="h-3.5 w-3.5" aria-hidden="true" />
+              </Button>
+            </form>
+          ) : (
+            <div
+              key={preset.id}
+              className={cx(
+                "inline-flex items-center rounded-full border text-xs font-semibold transition",
+                presetKey(preset) === currentKey
+                  ? "border-amber-200/80 bg-amber-200/20 text-white"
+                  : "border-white/15 bg-white/8 text-white/85 hover:border-amber-200/70"
+              )}
+            >
+              <button type="button" onClick={() => onApply(preset)} title={describePreset(preset)} className="py-1.5 pl-3 pr-2">
+                {preset.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setEditingId(preset.id);
+                  setEditName(preset.name);
+                }}
+                aria-label={`Rename ${preset.name}`}
+                className="px-1 text-white/50 transition hover:text-white"
+              >
+                <Pencil className="h-3 w-3" aria-hidden="true" />
+              </button>
+              <button
+                type="button"
+                onClick={() => updatePresets((list) => removePreset(list, preset.id))}
+                aria-label={`Delete ${preset.name}`}
+                className="pl-1 pr-2.5 text-white/50 transition hover:text-rose-300"
+              >
+                <Trash2 className="h-3 w-3" aria-hidden="true" />
+              </button>
+            </div>
+          )
+        )}
+        {naming ? (
+          <form onSubmit={saveCurrent} className="flex items-center gap-1">
+            <Input
+              autoFocus
+              value={draftName}
+              onChange={(event) => setDraftName(event.target.value)}
+              placeholder="Name this search"
+              aria-label="Saved search name"
+              className="h-8 w-48 py-1 text-xs"
+            />
+            <Button type="submit" variant="subtle" size="sm" className="px-3 text-[11px]">
+              Save
+            </Button>
+            <Button type="button" variant="ghost" size="sm" aria-label="Cancel saving" onClick={() => setNaming(false)} className="px-2">
+              <X className="h-3.5 w-3.5" aria-hidden="true" />
+            </Button>
+          </form>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setNaming(true)}
+            disabled={!currentKey}
+            title={currentKey ? describePreset(view) : "Search or pick some filters first"}
+            className="rounded-full border border-dashed border-white/25 px-3 py-1.5 text-xs font-semibold text-white/70 transition hover:border-white/50 hover:text-white disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            + Save current search
+          </button>
+        )}
+      </div>
+      {notice && (
+        <p role="status" className="text-[11px] font-semibold text-white/60">
+          {notice}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilters, view, onApplyPreset }) {
   const [open, setOpen] = useState(false);
   const quickSorts = [
     { value: "default", label: "Featured" },
     { value: "az", label: "A-Z" },
     { value: "faction", label: "By Faction" },
     { value: "most", label: "Most Powerful" },
+    { value: "rating", label: "Top Rated" },
   ];
 
   const topCollections = useMemo(() => {
@@ -2744,22 +3780,8 @@ function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilt
     const locations = tally((item) => item.locations || []).slice(0, 6);
     const factions = tally((item) => item.faction || []).slice(0, 6);
 
-    const powerMap = new Map();
-    data.forEach((item) => {
-      (item.powers || []).forEach((power) => {
-        if (!power?.name) return;
-        const entry = powerMap.get(power.name) || { count: 0, total: 0 };
-        entry.count += 1;
-        entry.total += Number(power.level) || 0;
-        powerMap.set(power.name, entry);
-      });
-    });
-    const powers = Array.from(powerMap.entries())
-      .map(([name, meta]) => ({
-        value: name,
-        count: meta.count,
-        avg: meta.count ? meta.total / meta.count : 0,
-      }))
+    const powers = tallyPowers(data)
+      .map((entry) => ({ value: entry.name, count: entry.count, avg: entry.avg }))
       .sort((a, b) => {
         if (b.avg === a.avg) return b.count - a.count;
         return b.avg - a.avg;
@@ -2840,7 +3862,11 @@ function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilt
               {item.label}
             </button>
           ))}
+          <Link href="/rankings" className="ml-auto text-xs font-semibold text-white/60 transition hover:text-white">
+            Arena rankings →
+          </Link>
         </div>
+        <SavedSearches view={view} onApply={onApplyPreset} />
         {!!topCollections.factions.length && (
           <div className="space-y-2">
             <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-white/60">
@@ -2861,6 +3887,9 @@ function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilt
           <div className="space-y-2">
             <div className="flex items-center gap-2 text-xs font-semibold uppercase tracking-wide text-white/60">
               <Atom className="h-4 w-4 text-amber-200" /> Top powers
+              <Link href="/powers" className="ml-auto normal-case tracking-normal text-white/60 transition hover:text-white">
+                Powers encyclopedia →
+              </Link>
             </div>
             <div className="flex flex-wrap gap-2">
               {topCollections.powers.map((item) => renderChip(item, "powers"))}
@@ -2873,6 +3902,60 @@ function QuickFilterRail({ data, onFacet, onSortModeChange, sortMode, onOpenFilt
 }
 
 
+const RELATIONSHIP_WEB_LIMIT = 120;
+function RelationshipWeb({ data, onOpenCharacter }) {
+  const [open, setOpen] = useState(false);
+  const roster = useMemo(() => data.slice(0, RELATIONSHIP_WEB_LIMIT), [data]);
+  const graph = useMemo(() => (open ? buildRelationshipGraph(roster) : null), [open, roster]);
+  const byId = useMemo(() => new Map(roster.map((char) => [char.id, char])), [roster]);
+
+  if (!open) {
+    return (
+      <button
+        type="button"
+        onClick={() => setOpen(true)}
+        className="group flex w-full items-center justify-between rounded-full border border-white/15 bg-white/5 px-4 py-3 text-xs font-semibold uppercase tracking-[0.3em] text-white/70 transition hover:border-white/40 hover:bg-white/10"
+        aria-expanded="false"
+      >
+        <span className="flex items-center gap-2 text-white/80">
+          <Network className="h-4 w-4 text-amber-200" aria-hidden="true" /> Relationship web
+        </span>
+        <ChevronDown className="h-4 w-4 text-white/60 transition group-hover:text-white" aria-hidden="true" />
+      </button>
+    );
+  }
+
+  return (
+    <Card className="border border-white/15 bg-white/5 backdrop-blur-2xl">
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <div className="flex items-center gap-2 text-sm font-semibold text-white/80">
+            <Network className="h-4 w-4 text-amber-200" aria-hidden="true" /> Relationship web
+          </div>
+          <div className="flex items-center gap-3">
+            <span className="text-[11px] font-semibold text-white/60">
+              {data.length > RELATIONSHIP_WEB_LIMIT
+                ? `Showing the first ${RELATIONSHIP_WEB_LIMIT} of ${data.length} in view`
+                : `${roster.length} characters in view`}
+            </span>
+            <Button
+              variant="subtle"
+              size="sm"
+              onClick={() => setOpen(false)}
+              className="px-3 text-xs font-semibold text-white/80"
+              aria-label="Collapse relationship web"
+            >
+              <ChevronUp className="h-4 w-4" aria-hidden="true" />
+            </Button>
+          </div>
+        </div>
+        <RelationshipGraph graph={graph} onSelect={(node) => byId.get(node.id) && onOpenCharacter(byId.get(node.id))} />
+      </CardContent>
+    </Card>
+  );
+}
+
+
 function FilterSection({ title, values, single, activeValues, onToggle, searchTerm }) {
   const currentValues = single ? (activeValues ? [activeValues] : []) : activeValues || [];
   const filteredValues = useMemo(() => {
@@ -2903,6 +3986,84 @@ function FilterSection({ title, values, single, activeValues, onToggle, searchTe
   );
 }
 
+// Ends left at the roster's bounds are stored as open so the range keeps
+// covering newcomers who score higher or lower later.
+function RangeFilterSection({ title, bounds, value, onChange }) {
+  const id = useId();
+  const low = Number.isFinite(value?.min) ? Math.max(value.min, bounds.min) : bounds.min;
+  const high = Number.isFinite(value?.max) ? Math.min(value.max, bounds.max) : bounds.max;
+  const flat = bounds.min >= bounds.max;
+
+  const update = (nextLow, nextHigh) => {
+    const min = nextLow > bounds.min ? nextLow : null;
+    const max = nextHigh < bounds.max ? nextHigh : null;
+    onChange(min == null && max == null ? null : { min, max });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between text-xs font-extrabold tracking-wide text-white/75">
+        <span>{title}</span>
+        <span className={cx("tabular-nums", rangeActive(value) ? "text-amber-200" : "text-white/50")}>
+          {rangeActive(value) ? formatRange(value) : `${bounds.min}–${bounds.max}`}
+        </span>
+      </div>
+      <div className="space-y-2 rounded-xl border border-white/10 bg-white/5 p-3">
+        {flat ? (
+          <p className="text-[11px] font-semibold tracking-wide text-white/60">Everyone shares {bounds.min} right now</p>
+        ) : (
+          [
+            { label: "Min", current: low, change: (next) => update(Math.min(next, high), high) },
+            { label: "Max", current: high, change: (next) => update(low, Math.max(next, low)) },
+          ].map(({ label, current, change }) => (
+            <label key={label} htmlFor={`${id}-${label}`} className="flex items-center gap-3 text-[11px] font-semibold text-white/70">
+              <span className="w-8">{label}</span>
+              <input
+                id={`${id}-${label}`}
+                type="range"
+                min={bounds.min}
+                max={bounds.max}
+                step={1}
+                value={current}
+                onChange={(event) => change(Number(event.target.value))}
+                aria-label={`${title} ${label.toLowerCase()}`}
+                className="h-1 flex-1 cursor-pointer accent-amber-300"
+              />
+              <span className="w-8 text-right tabular-nums text-white">{current}</span>
+            </label>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Everything currently narrowing the codex, each removable on its own.
+function ActiveFilterChips({ filters, onRemove }) {
+  const chips = Object.entries(filters || {}).flatMap(([key, value]) => {
+    if (isRangeFilter(key)) {
+      if (!rangeActive(value)) return [];
+      const label = `${RANGE_FILTERS.find((range) => range.key === key).label} ${formatRange(value)}`;
+      return [{ id: key, key, label }];
+    }
+    return normaliseArray(value).map((item) => ({ id: `${key}:${item}`, key, value: item, label: item }));
+  });
+  if (!chips.length) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {chips.map((chip) => (
+        <FacetChip key={chip.id} active onClick={() => onRemove(chip.key, chip.value)} aria-label={`Remove ${chip.label}`}>
+          <span className="inline-flex items-center gap-1">
+            {chip.label}
+            <X size={12} aria-hidden="true" />
+          </span>
+        </FacetChip>
+      ))}
+    </div>
+  );
+}
+
 function HeroSection({
   featured,
   onOpenFilters,
@@ -3321,10 +4482,12 @@ function HeroSection({
         return renderCharacter(slide);
       case "faction":
         return (
-          <RosterSlide
+          <FeaturedRosterSlide
             slide={slide}
             icon={<Layers className="h-6 w-6" />}
             facetKey="faction"
+            href={(name) => `/factions/${factionSlug(name)}`}
+            hrefLabel="Faction dossier"
             onFacet={onFacet}
             onOpenCharacter={onOpenCharacter}
             limit={isCompact ? 3 : 6}
@@ -3332,10 +4495,12 @@ function HeroSection({
         );
       case "location":
         return (
-          <RosterSlide
+          <FeaturedRosterSlide
             slide={slide}
             icon={<MapPin className="h-6 w-6" />}
             facetKey="locations"
+            href={(name) => `/locations/${locationSlug(name)}`}
+            hrefLabel="Open in atlas"
             onFacet={onFacet}
             onOpenCharacter={onOpenCharacter}
             limit={isCompact ? 3 : 6}
@@ -3343,9 +4508,11 @@ function HeroSection({
         );
       case "power":
         return (
-          <RosterSlide
+          <FeaturedRosterSlide
             slide={slide}
             icon={<Atom className="h-6 w-6" />}
+            href={(name) => `/powers/${powerSlug(name)}`}
+            hrefLabel="Power entry"
             facetKey="powers"
             onFacet={onFacet}
             onOpenCharacter={onOpenCharacter}
@@ -3550,8 +4717,9 @@ function HeroSection({
 }
 
 /** -------------------- Page -------------------- */
-export default function LoremakerApp({ initialCharacters = [], initialError = null }) {
-  const { data, loading, error, refetch } = useCharacters(initialCharacters, initialError);
+export default function LoremakerApp({ initialCharacters = [], initialError = null, initialFallback = false }) {
+  const { data, loading, error, fallback, refetch } = useCharacters(initialCharacters, initialError, initialFallback);
+  const router = useRouter();
   const [query, setQuery] = useState("");
   const [filters, setFilters] = useState({});
   const [combineAND, setCombineAND] = useState(false);
@@ -3564,6 +4732,10 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
   const [currentCharacter, setCurrentCharacter] = useState(null);
   const [filtersOpen, setFiltersOpen] = useState(false);
   const [transferNotices, setTransferNotices] = useState([]);
+  const [arenaReplay, setArenaReplay] = useState(null);
+  const [arenaMode, setArenaMode] = useState("duel");
+  const { ledger: battleLedger, records: battleRecords } = useBattleHistory();
+  const [arenaSquad, setArenaSquad] = useState([]);
   const currentYear = useMemo(() => new Date().getFullYear(), []);
   const slugify = useCallback(
     (value) =>
@@ -3576,8 +4748,11 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
   );
 
   const selectedIds = useMemo(
-    () => [arenaSlots.left, arenaSlots.right].filter(Boolean),
-    [arenaSlots.left, arenaSlots.right]
+    () =>
+      (ARENA_MODES[arenaMode] && arenaMode !== "duel") || arenaMode === MATRIX_TAB
+        ? arenaSquad
+        : [arenaSlots.left, arenaSlots.right].filter(Boolean),
+    [arenaMode, arenaSlots.left, arenaSlots.right, arenaSquad]
   );
 
   const openCharacter = useCallback((char) => {
@@ -3598,11 +4773,32 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
     });
   }, []);
 
+  const currentSearch = useMemo(() => ({ query, filters, combineAND }), [query, filters, combineAND]);
+
+  const applyPreset = useCallback((preset) => {
+    setQuery(preset.query || "");
+    setFilters(preset.filters || {});
+    setCombineAND(Boolean(preset.combineAND));
+  }, []);
+
+  const removeFilter = useCallback((key, value) => {
+    setFilters((prev) => {
+      const next = { ...prev };
+      if (Array.isArray(prev[key]) && value !== undefined) {
+        next[key] = prev[key].filter((item) => item !== value);
+      } else {
+        delete next[key];
+      }
+      return next;
+    });
+  }, []);
+
   const clearFilters = useCallback(() => {
     setFilters({});
     setCombineAND(false);
     setQuery("");
     setArenaSlots({ left: null, right: null });
+    setArenaSquad([]);
     setHighlightedId(null);
   }, []);
 
@@ -3613,16 +4809,23 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
   const onUseInSim = useCallback((character, rect) => {
     if (!character) return;
     const id = character.id;
-    setArenaSlots((slots) => {
-      if (slots.left === id || slots.right === id) return slots;
-      if (!slots.left) {
-        return { left: id, right: slots.right };
-      }
-      if (!slots.right) {
-        return { left: slots.left, right: id };
-      }
-      return { left: slots.right, right: id };
-    });
+    if (arenaMode === "duel" || arenaMode === TOURNAMENT_TAB) {
+      if (arenaMode === TOURNAMENT_TAB) setArenaMode("duel");
+      setArenaSlots((slots) => {
+        if (slots.left === id || slots.right === id) return slots;
+        if (!slots.left) {
+          return { left: id, right: slots.right };
+        }
+        if (!slots.right) {
+          return { left: slots.left, right: id };
+        }
+        return { left: slots.right, right: id };
+      });
+    } else {
+      // A full squad drops its earliest pick to make room.
+      const limit = arenaMode === MATRIX_TAB ? MATRIX_LIMIT : arenaCapacity(arenaMode);
+      setArenaSquad((squad) => (squad.includes(id) ? squad : [...squad, id].slice(-limit)));
+    }
     setArenaPulseKey((key) => key + 1);
     setHighlightedId(id);
     setTimeout(() => setHighlightedId(null), 900);
@@ -3643,7 +4846,7 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
     }
     setShowArena(true);
     setTimeout(focusArena, 80);
-  }, [focusArena]);
+  }, [arenaMode, focusArena]);
 
   const useInSim = useCallback(
     (char) => {
@@ -3653,6 +4856,103 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
     [closeCharacter, onUseInSim]
   );
 
+  // The query the page was opened with, until its shared fight has been replayed.
+  // Fights finished here write the same params, and must not replay as if shared.
+  const sharedReplayQueryRef = useRef(undefined);
+
+  // A shared ?battle=a,b&seed=… link reopens the arena and replays that exact fight.
+  useEffect(() => {
+    if (!router.isReady) return;
+    if (sharedReplayQueryRef.current === undefined) sharedReplayQueryRef.current = router.query;
+    const sharedQuery = sharedReplayQueryRef.current;
+    if (!sharedQuery || !data.length) return;
+    const known = new Set(data.map((char) => char.id));
+    const teamReplay = parseTeamBattleQuery(sharedQuery);
+    const replay = teamReplay ? null : parseBattleQuery(sharedQuery);
+    if (teamReplay) {
+      if (!teamReplay.squad.every((id) => known.has(id))) return;
+      setArenaMode(teamReplay.mode);
+      setArenaSquad(teamReplay.squad);
+      setArenaReplay(teamReplay);
+    } else {
+      if (!replay || !known.has(replay.left) || !known.has(replay.right)) return;
+      setArenaSlots({ left: replay.left, right: replay.right });
+      setArenaReplay(replay);
+    }
+    sharedReplayQueryRef.current = null;
+    setShowArena(true);
+    setTimeout(focusArena, 80);
+  }, [router.isReady, router.query, data, focusArena]);
+
+  const viewQuery = useMemo(
+    () => codexQueryString({ query, filters, combineAND, sortMode }),
+    [query, filters, combineAND, sortMode]
+  );
+  // The view last written to (or read from) the URL; null until the router is ready.
+  const syncedViewRef = useRef(null);
+
+  // Restores the view on load and whenever back/forward changes the query string.
+  useEffect(() => {
+    if (!router.isReady) return;
+    const view = parseCodexQuery(router.query);
+    const next = codexQueryString(view);
+    if (next === syncedViewRef.current) return;
+    syncedViewRef.current = next;
+    setQuery(view.query);
+    setFilters(view.filters);
+    setCombineAND(view.combineAND);
+    setSortMode(view.sortMode);
+  }, [router.isReady, router.query]);
+
+  // Filter and sort changes each get a history entry; typing in the search box
+  // only replaces the current one so Back doesn't step through keystrokes.
+  useEffect(() => {
+    if (!router.isReady || syncedViewRef.current === null || viewQuery === syncedViewRef.current) return;
+    const timer = setTimeout(() => {
+      const withoutSearch = (value) => {
+        const params = new URLSearchParams(value);
+        params.delete("q");
+        return params.toString();
+      };
+      const method = withoutSearch(viewQuery) === withoutSearch(syncedViewRef.current) ? "replace" : "push";
+      const preserved = Object.entries(router.query)
+        .filter(([key]) => !CODEX_QUERY_KEYS.includes(key))
+        .flatMap(([key, value]) => normaliseArray(value).map((item) => `${encodeURIComponent(key)}=${encodeURIComponent(item)}`));
+      const search = [viewQuery, ...preserved].filter(Boolean).join("&");
+      syncedViewRef.current = viewQuery;
+      router[method](search ? `/?${search}` : "/", undefined, { shallow: true, scroll: false });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [viewQuery, router]);
+
+  const replaceArenaQuery = useCallback(
+    (arenaQuery) => {
+      const search = [arenaQuery, syncedViewRef.current].filter(Boolean).join("&");
+      router.replace(`/?${search}`, undefined, { shallow: true, scroll: false });
+    },
+    [router]
+  );
+
+  const handleBattleComplete = useCallback((battle) => replaceArenaQuery(battleQueryString(battle)), [replaceArenaQuery]);
+
+  const handleTeamBattleComplete = useCallback(
+    (battle) => replaceArenaQuery(teamBattleQueryString(battle)),
+    [replaceArenaQuery]
+  );
+
+  const changeArenaMode = useCallback(
+    (mode) => {
+      setArenaMode(mode);
+      if ((ARENA_MODES[mode] && mode !== "duel") || mode === MATRIX_TAB) {
+        const limit = mode === MATRIX_TAB ? MATRIX_LIMIT : arenaCapacity(mode);
+        setArenaSquad((squad) =>
+          (squad.length ? squad : [arenaSlots.left, arenaSlots.right].filter(Boolean)).slice(0, limit)
+        );
+      }
+    },
+    [arenaSlots.left, arenaSlots.right]
+  );
+
   const toggleArena = useCallback(() => {
     setShowArena((prev) => {
       const next = !prev;
@@ -3663,39 +4963,44 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
     });
   }, [focusArena]);
 
+  const searchIndex = useMemo(() => createSearchIndex(data), [data]);
+  const search = useMemo(() => searchCodex(searchIndex, query), [searchIndex, query]);
+  const searchResults = search.hits;
+  const searchHits = useMemo(
+    () => (query.trim() ? new Map(searchResults.map((hit) => [hit.id, hit])) : null),
+    [query, searchResults]
+  );
+  const searchSuggestions = useMemo(() => searchResults.slice(0, 6), [searchResults]);
+
   const filtered = useMemo(
-    () => data.filter((c) => matchesFilters(c, filters, combineAND, query)),
-    [data, filters, combineAND, query]
+    () => data.filter((c) => (!searchHits || searchHits.has(c.id)) && matchesFilters(c, filters, combineAND)),
+    [data, filters, combineAND, searchHits]
   );
 
   const hasActiveFilters = useMemo(() => {
     if (query.trim()) return true;
     if (combineAND) return true;
-    return Object.values(filters || {}).some((value) => {
+    return Object.entries(filters || {}).some(([key, value]) => {
+      if (isRangeFilter(key)) return rangeActive(value);
       if (Array.isArray(value)) return value.length > 0;
       return Boolean(value);
     });
   }, [filters, query, combineAND]);
 
-  const sorted = useMemo(() => {
-    const arr = [...filtered];
-    switch (sortMode) {
-      case "random":
-        return arr.sort(() => Math.random() - 0.5);
-      case "faction":
-        return arr.sort((a, b) => String(a.faction?.[0] || "").localeCompare(String(b.faction?.[0] || "")));
-      case "az":
-        return arr.sort((a, b) => a.name.localeCompare(b.name));
-      case "za":
-        return arr.sort((a, b) => b.name.localeCompare(a.name));
-      case "most":
-        return arr.sort((a, b) => scoreCharacter(b) - scoreCharacter(a));
-      case "least":
-        return arr.sort((a, b) => scoreCharacter(a) - scoreCharacter(b));
-      default:
-        return arr;
-    }
-  }, [filtered, sortMode]);
+  // Rated over the whole roster so filtering never changes anyone's rating.
+  const ratings = useMemo(
+    () => (sortMode === "rating" ? arenaRatings(data, battleRecords) : undefined),
+    [sortMode, data, battleRecords]
+  );
+  const relevance = useMemo(
+    () => (searchHits ? new Map(Array.from(searchHits, ([id, hit]) => [id, hit.score])) : undefined),
+    [searchHits]
+  );
+
+  const sorted = useMemo(
+    () => sortCharacters(filtered, sortMode, Math.random, { ratings, relevance }),
+    [filtered, sortMode, ratings, relevance]
+  );
 
   const featured = useMemo(() => computeFeatured(data), [data]);
   const universeNames = useMemo(() => data.map((c) => c.name).filter(Boolean), [data]);
@@ -3908,6 +5213,9 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
         <ToolsBar
           query={query}
           onQueryChange={setQuery}
+          suggestions={searchSuggestions}
+          onPickSuggestion={openCharacter}
+          searchError={search.error}
           sortMode={sortMode}
           onSortModeChange={setSortMode}
           onOpenFilters={() => setFiltersOpen(true)}
@@ -3930,15 +5238,45 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
               {error}
             </div>
           )}
+          {!loading && !error && fallback && (
+            <div className="rounded-3xl border border-amber-300/40 bg-amber-500/10 px-6 py-4 text-sm font-semibold text-amber-100">
+              The live codex is unreachable, so you're browsing a small sample roster. Refresh later for the full universe.
+            </div>
+          )}
           {showArena && (
             <div id="arena-anchor" className="mt-10 scroll-mt-40">
-              <BattleArena
-                characters={sorted}
-                slots={arenaSlots}
-                setSlots={setArenaSlots}
-                onOpenCharacter={openCharacter}
-                pulseKey={arenaPulseKey}
-              />
+              <ArenaModeTabs mode={arenaMode} onChange={changeArenaMode} />
+              {arenaMode === TOURNAMENT_TAB ? (
+                <TournamentPanel results={sorted} data={data} onOpenCharacter={openCharacter} />
+              ) : arenaMode === MATRIX_TAB ? (
+                <HeadToHeadPanel
+                  characters={data}
+                  squad={arenaSquad}
+                  setSquad={setArenaSquad}
+                  onOpenCharacter={openCharacter}
+                />
+              ) : arenaMode === "duel" ? (
+                <BattleArena
+                  characters={sorted}
+                  slots={arenaSlots}
+                  setSlots={setArenaSlots}
+                  onOpenCharacter={openCharacter}
+                  pulseKey={arenaPulseKey}
+                  replay={arenaReplay}
+                  onBattleComplete={handleBattleComplete}
+                />
+              ) : (
+                <TeamArena
+                  characters={data}
+                  mode={arenaMode}
+                  squad={arenaSquad}
+                  setSquad={setArenaSquad}
+                  onOpenCharacter={openCharacter}
+                  pulseKey={arenaPulseKey}
+                  replay={arenaReplay}
+                  onBattleComplete={handleTeamBattleComplete}
+                />
+              )}
             </div>
           )}
 
@@ -3949,13 +5287,18 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
               onSortModeChange={setSortMode}
               sortMode={sortMode}
               onOpenFilters={() => setFiltersOpen(true)}
+              view={currentSearch}
+              onApplyPreset={applyPreset}
             />
           )}
 
+          {!showArena && <RelationshipWeb data={sorted} onOpenCharacter={openCharacter} />}
+
           <section className="flex flex-wrap items-center justify-between gap-3">
             <div className="flex flex-wrap items-center gap-2 text-xs font-semibold text-white/70">
               <Users size={14} /> {filtered.length} heroes ready
             </div>
+            <ActiveFilterChips filters={filters} onRemove={removeFilter} />
           </section>
 
           <div id="characters-grid" className="mt-6 scroll-mt-40">
@@ -3965,6 +5308,8 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
             onFacet={handleFacet}
             onUseInSim={onUseInSim}
             highlightId={highlightedId}
+            ledger={battleLedger}
+            searchHits={searchHits}
           />
         </div>
       </div>
@@ -4154,10 +5499,12 @@ export default function LoremakerApp({ initialCharacters = [], initialError = nu
 export async function getStaticProps() {
   try {
     const characters = await fetchCharactersFromSheets();
+    const fallback = getCharacterCacheStatus().state === "fallback";
     return {
       props: {
         initialCharacters: characters,
         initialError: null,
+        initialFallback: fallback,
       },
       revalidate: 600,
     };
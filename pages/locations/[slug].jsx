@@ -0,0 +1,156 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { MapPin } from "lucide-react";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { codexQueryString } from "../../lib/filters";
+import { collectLocations, findLocation } from "../../lib/locations";
+import { factionSlug } from "../../lib/factions";
+import { storySlug } from "../../lib/stories";
+import RosterSlide from "../../components/RosterSlide";
+import TallyList from "../../components/TallyList";
+
+function LocationPage({ location, siteUrl }) {
+  const router = useRouter();
+  const canonicalUrl = `${siteUrl}/locations/${location.slug}`;
+  const image = location.residents.find((member) => member.cover)?.cover || null;
+  const factionNames = location.factions.map((item) => item.name);
+  const description = `${location.name} is home to ${location.residents.length} LoreMaker ${
+    location.residents.length === 1 ? "character" : "characters"
+  }${factionNames.length ? `, with ${factionNames.slice(0, 3).join(", ")} operating there` : ""}.`;
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "Place",
+        name: location.name,
+        description,
+        url: canonicalUrl,
+        mainEntityOfPage: canonicalUrl,
+        ...(image ? { image } : {}),
+        containedInPlace: { "@type": "Place", name: "LoreMaker Universe", url: `${siteUrl}/locations` },
+        subjectOf: location.stories.map((item) => ({
+          "@type": "CreativeWork",
+          name: item.name,
+          url: `${siteUrl}/stories/${storySlug(item.name)}`,
+        })),
+        additionalProperty: [
+          { "@type": "PropertyValue", name: "Residents", value: location.residents.length },
+          ...location.eras.map((item) => ({ "@type": "PropertyValue", name: "Era", value: item.name })),
+        ],
+      }),
+    [canonicalUrl, description, image, location, siteUrl]
+  );
+
+  const metaTitle = `${location.name} | LoreMaker Universe Atlas`;
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        {image && <meta property="og:image" content={image} />}
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        {image && <meta name="twitter:image" content={image} />}
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Atlas</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">{location.name}</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/locations"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Atlas
+              </Link>
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Codex home
+              </Link>
+              <Link
+                href={`/?${codexQueryString({ filters: { locations: [location.name] } })}`}
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Filter the codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <RosterSlide
+            slide={{ key: "location", label: "Residents", data: { name: location.name, residents: location.residents } }}
+            icon={<MapPin className="h-6 w-6" />}
+            onOpenCharacter={(member) => router.push(`/characters/${member.id}`)}
+            limit={location.residents.length}
+          />
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Powers at Play</h2>
+            <div className="mt-6 grid gap-6 md:grid-cols-3">
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Factions present</h3>
+                <TallyList
+                  items={location.factions}
+                  empty="No faction has claimed this ground."
+                  hrefFor={(name) => `/factions/${factionSlug(name)}`}
+                />
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Eras</h3>
+                <TallyList items={location.eras} empty="No era recorded." />
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Stories set here</h3>
+                <TallyList
+                  items={location.stories}
+                  empty="No chronicles recorded yet."
+                  hrefFor={(name) => `/stories/${storySlug(name)}`}
+                />
+              </div>
+            </div>
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default LocationPage;
+
+export async function getStaticPaths() {
+  const characters = await fetchCharactersFromSheets();
+  const paths = collectLocations(characters).map((location) => ({ params: { slug: location.slug } }));
+  return { paths, fallback: "blocking" };
+}
+
+export async function getStaticProps({ params }) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const location = findLocation(await fetchCharactersFromSheets(), params?.slug);
+
+  if (!location) {
+    return { notFound: true, revalidate: 300 };
+  }
+
+  return {
+    props: { location, siteUrl },
+    revalidate: 600,
+  };
+}
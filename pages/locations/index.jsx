@@ -0,0 +1,161 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { MapPin } from "lucide-react";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { buildAtlas, collectLocations } from "../../lib/locations";
+import RosterSlide from "../../components/RosterSlide";
+
+const FEATURED_LOCATIONS = 3;
+
+function AtlasPage({ regions, featured, siteUrl }) {
+  const router = useRouter();
+  const canonicalUrl = `${siteUrl}/locations`;
+  const locationCount = regions.reduce((sum, region) => sum + region.locations.length, 0);
+  const description = `Chart ${locationCount} realms, strongholds and frontiers of the LoreMaker Universe, grouped by era with the characters who call them home.`;
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "CollectionPage",
+        name: "LoreMaker Universe Atlas",
+        description,
+        url: canonicalUrl,
+        mainEntity: {
+          "@type": "ItemList",
+          numberOfItems: locationCount,
+          itemListElement: regions
+            .flatMap((region) => region.locations)
+            .map((location, index) => ({
+              "@type": "ListItem",
+              position: index + 1,
+              item: {
+                "@type": "Place",
+                name: location.name,
+                url: `${siteUrl}/locations/${location.slug}`,
+              },
+            })),
+        },
+      }),
+    [canonicalUrl, description, locationCount, regions, siteUrl]
+  );
+
+  const metaTitle = "Atlas | LoreMaker Universe Locations & Realms";
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Atlas</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">Realms of the Codex</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          {featured.map((location) => (
+            <RosterSlide
+              key={location.slug}
+              slide={{ key: "location", label: `${location.count} residents`, data: location }}
+              icon={<MapPin className="h-6 w-6" />}
+              onOpenCharacter={(member) => router.push(`/characters/${member.id}`)}
+              limit={6}
+              actions={
+                <Link
+                  href={`/locations/${location.slug}`}
+                  className="inline-flex items-center rounded-full border border-white/30 px-4 py-1.5 text-xs font-bold text-white transition hover:bg-white/10"
+                >
+                  Explore {location.name}
+                </Link>
+              }
+            />
+          ))}
+
+          {regions.map((region) => (
+            <section key={region.era} className="rounded-3xl border border-white/10 bg-white/5 p-8">
+              <div className="flex flex-wrap items-baseline justify-between gap-3">
+                <h2 className="text-2xl font-black text-white">{region.era}</h2>
+                <p className="text-xs font-bold uppercase tracking-[0.3em] text-white/60">
+                  {region.locations.length} locations · {region.count} residents
+                </p>
+              </div>
+              <ul className="mt-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                {region.locations.map((location) => (
+                  <li key={location.slug}>
+                    <Link
+                      href={`/locations/${location.slug}`}
+                      className="flex h-full flex-col gap-1 rounded-2xl border border-white/15 bg-black/40 p-4 transition hover:border-white/40 hover:bg-black/60"
+                    >
+                      <span className="flex items-center justify-between gap-3">
+                        <span className="text-lg font-extrabold text-white">{location.name}</span>
+                        <span className="rounded-full bg-white/10 px-2 py-0.5 text-xs font-bold text-white/70">
+                          {location.count}
+                        </span>
+                      </span>
+                      {location.factions.length > 0 && (
+                        <span className="text-xs font-semibold text-white/60">{location.factions.slice(0, 3).join(" · ")}</span>
+                      )}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          {!regions.length && (
+            <p className="rounded-3xl border border-dashed border-white/15 bg-white/5 p-8 text-base text-white/70">
+              No locations have been charted yet.
+            </p>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default AtlasPage;
+
+export async function getStaticProps() {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const characters = await fetchCharactersFromSheets();
+
+  const regions = buildAtlas(characters);
+  const featuredSlugs = collectLocations(characters)
+    .slice(0, FEATURED_LOCATIONS)
+    .map((location) => location.slug);
+  const featured = regions
+    .flatMap((region) => region.locations)
+    .filter((location) => featuredSlugs.includes(location.slug))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  return {
+    props: { regions, featured, siteUrl },
+    revalidate: 600,
+  };
+}
@@ -0,0 +1,201 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { codexQueryString } from "../../lib/filters";
+import { collectPowers, findPower } from "../../lib/powers";
+
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-2xl border border-white/15 bg-black/40 p-4">
+      <p className="text-xs uppercase tracking-[0.35em] text-white/60">{label}</p>
+      <p className="mt-2 text-3xl font-black text-white">{value}</p>
+    </div>
+  );
+}
+
+function LevelHistogram({ histogram }) {
+  const peak = Math.max(1, ...histogram.map((bucket) => bucket.count));
+  return (
+    <div className="mt-6 flex h-48 items-end gap-2" role="img" aria-label="Distribution of power levels">
+      {histogram.map((bucket) => (
+        <div key={bucket.level} className="flex h-full flex-1 flex-col items-center justify-end gap-2">
+          <span className="text-xs font-bold text-white/70">{bucket.count || ""}</span>
+          <div
+            className="w-full rounded-t-lg bg-gradient-to-t from-indigo-500 via-fuchsia-400 to-amber-300"
+            style={{ height: `${(bucket.count / peak) * 100}%`, minHeight: bucket.count ? 4 : 0 }}
+            title={`${bucket.count} at level ${bucket.level}`}
+          />
+          <span className="text-xs font-semibold text-white/60">{bucket.level}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function PowerPage({ power, siteUrl }) {
+  const canonicalUrl = `${siteUrl}/powers/${power.slug}`;
+  const image = power.wielders.find((wielder) => wielder.cover)?.cover || null;
+  const champion = power.wielders[0];
+  const description = `${power.name} is wielded by ${power.wielders.length} LoreMaker ${
+    power.wielders.length === 1 ? "character" : "characters"
+  } at an average level of ${power.averageLevel}/10${champion ? `, with ${champion.name} at the top` : ""}.`;
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "DefinedTerm",
+        name: power.name,
+        description,
+        url: canonicalUrl,
+        mainEntityOfPage: canonicalUrl,
+        ...(image ? { image } : {}),
+        inDefinedTermSet: {
+          "@type": "DefinedTermSet",
+          name: "LoreMaker Universe Powers",
+          url: `${siteUrl}/powers`,
+        },
+        subjectOf: power.wielders.map((wielder) => ({
+          "@type": "FictionalCharacter",
+          name: wielder.name,
+          url: `${siteUrl}/characters/${wielder.id}`,
+        })),
+      }),
+    [canonicalUrl, description, image, power, siteUrl]
+  );
+
+  const metaTitle = `${power.name} | LoreMaker Universe Powers`;
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="article" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        {image && <meta property="og:image" content={image} />}
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        {image && <meta name="twitter:image" content={image} />}
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Power</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">{power.name}</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/powers"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← All powers
+              </Link>
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Codex home
+              </Link>
+              <Link
+                href={`/?${codexQueryString({ filters: { powers: [power.name] } })}`}
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Filter the codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="grid gap-3 sm:grid-cols-3">
+            <StatTile label="Wielders" value={power.wielders.length} />
+            <StatTile label="Average level" value={power.averageLevel} />
+            <StatTile label="Peak level" value={`${power.peakLevel}/10`} />
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Level Distribution</h2>
+            <LevelHistogram histogram={power.histogram} />
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Wielders</h2>
+            <ol className="mt-6 space-y-3">
+              {power.wielders.map((wielder) => (
+                <li key={wielder.id}>
+                  <Link
+                    href={`/characters/${wielder.id}`}
+                    className="flex items-center gap-4 rounded-2xl border border-white/15 bg-black/40 p-4 transition hover:border-white/40 hover:bg-black/60"
+                  >
+                    <span className="w-10 text-lg font-black text-white/60">#{wielder.rank}</span>
+                    <span className="min-w-0 flex-1">
+                      <span className="block truncate text-lg font-extrabold text-white">{wielder.name}</span>
+                      {wielder.faction.length > 0 && (
+                        <span className="block truncate text-xs font-semibold text-white/60">{wielder.faction.join(" · ")}</span>
+                      )}
+                    </span>
+                    <span className="rounded-full bg-white/15 px-3 py-1 text-sm font-semibold text-white/80">
+                      {wielder.level}/10
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ol>
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Often Paired With</h2>
+            {power.related.length ? (
+              <ul className="mt-6 flex flex-wrap gap-2 text-sm font-semibold">
+                {power.related.map((entry) => (
+                  <li key={entry.slug}>
+                    <Link
+                      href={`/powers/${entry.slug}`}
+                      className="inline-flex items-center gap-2 rounded-full border border-white/20 px-4 py-1 text-white/80 transition hover:bg-white/10"
+                    >
+                      {entry.name}
+                      <span className="text-xs text-white/60">{entry.share}%</span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-4 text-base text-white/70">No wielder combines {power.name} with another catalogued power yet.</p>
+            )}
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default PowerPage;
+
+export async function getStaticPaths() {
+  const characters = await fetchCharactersFromSheets();
+  const paths = collectPowers(characters).map((power) => ({ params: { slug: power.slug } }));
+  return { paths, fallback: "blocking" };
+}
+
+export async function getStaticProps({ params }) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const power = findPower(await fetchCharactersFromSheets(), params?.slug);
+
+  if (!power) {
+    return { notFound: true, revalidate: 300 };
+  }
+
+  return {
+    props: { power, siteUrl },
+    revalidate: 600,
+  };
+}
@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { tallyPowers } from "../../lib/powers";
+
+const POWER_SORTS = [
+  { value: "wielders", label: "Most wielded" },
+  { value: "level", label: "Highest average" },
+  { value: "az", label: "A-Z" },
+];
+
+function sortPowers(powers, mode) {
+  const list = [...powers];
+  if (mode === "az") return list.sort((a, b) => a.name.localeCompare(b.name));
+  if (mode === "level") return list.sort((a, b) => b.avg - a.avg || b.count - a.count || a.name.localeCompare(b.name));
+  return list.sort((a, b) => b.count - a.count || b.avg - a.avg || a.name.localeCompare(b.name));
+}
+
+function PowersIndexPage({ powers, siteUrl }) {
+  const [sortMode, setSortMode] = useState("wielders");
+  const [query, setQuery] = useState("");
+  const canonicalUrl = `${siteUrl}/powers`;
+  const description = `Browse ${powers.length} powers wielded across the LoreMaker Universe, with how many characters hold each one and how strong they run.`;
+
+  const visible = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    const filtered = term ? powers.filter((power) => power.name.toLowerCase().includes(term)) : powers;
+    return sortPowers(filtered, sortMode);
+  }, [powers, query, sortMode]);
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "DefinedTermSet",
+        name: "LoreMaker Universe Powers",
+        description,
+        url: canonicalUrl,
+        hasDefinedTerm: powers.map((power) => ({
+          "@type": "DefinedTerm",
+          name: power.name,
+          url: `${siteUrl}/powers/${power.slug}`,
+        })),
+      }),
+    [canonicalUrl, description, powers, siteUrl]
+  );
+
+  const metaTitle = "Powers Encyclopedia | LoreMaker Universe";
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Powers</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">Powers Encyclopedia</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <input
+                type="search"
+                value={query}
+                onChange={(event) => setQuery(event.target.value)}
+                placeholder="Find a power…"
+                aria-label="Find a power"
+                className="w-full max-w-xs rounded-xl border border-white/20 bg-black/40 px-4 py-2 text-sm font-semibold text-white placeholder:text-white/40 focus:border-amber-200/70 focus:outline-none"
+              />
+              <div className="flex flex-wrap gap-2">
+                {POWER_SORTS.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setSortMode(option.value)}
+                    aria-pressed={sortMode === option.value}
+                    className={
+                      sortMode === option.value
+                        ? "rounded-full border border-white bg-white px-3 py-1 text-xs font-semibold text-black"
+                        : "rounded-full border border-white/30 bg-white/10 px-3 py-1 text-xs font-semibold text-white hover:bg-white/20"
+                    }
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {visible.length ? (
+              <ul className="mt-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
+                {visible.map((power) => (
+                  <li key={power.slug}>
+                    <Link
+                      href={`/powers/${power.slug}`}
+                      className="flex h-full flex-col gap-2 rounded-2xl border border-white/15 bg-black/40 p-4 transition hover:border-white/40 hover:bg-black/60"
+                    >
+                      <span className="text-lg font-extrabold text-white">{power.name}</span>
+                      <span className="flex flex-wrap gap-2 text-xs font-semibold text-white/70">
+                        <span className="rounded-full bg-white/10 px-2 py-0.5">
+                          {power.count} {power.count === 1 ? "wielder" : "wielders"}
+                        </span>
+                        <span className="rounded-full bg-white/10 px-2 py-0.5">avg {power.avg.toFixed(1)}/10</span>
+                        <span className="rounded-full bg-white/10 px-2 py-0.5">peak {power.peak}/10</span>
+                      </span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-6 text-base text-white/70">No powers match “{query}”.</p>
+            )}
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default PowersIndexPage;
+
+export async function getStaticProps() {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const characters = await fetchCharactersFromSheets();
+
+  return {
+    props: { powers: tallyPowers(characters), siteUrl },
+    revalidate: 600,
+  };
+}
@@ -0,0 +1,204 @@
+import React, { useMemo, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets, normaliseArray, todayKey } from "../lib/characters";
+import { RATING_BASE, RATING_K, computeRatings, rankRatings, seasonRatings } from "../lib/ratings";
+import { useBattleHistory } from "../lib/battle-history";
+
+const RATING_SOURCES = [
+  { value: "season", label: "Simulated season" },
+  { value: "arena", label: "Season + your arena battles" },
+];
+
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-2xl border border-white/15 bg-black/40 p-4">
+      <p className="text-xs uppercase tracking-[0.35em] text-white/60">{label}</p>
+      <p className="mt-2 text-3xl font-black text-white">{value}</p>
+    </div>
+  );
+}
+
+function RankingsPage({ season, roster, seasonDate, siteUrl }) {
+  const [source, setSource] = useState("season");
+  const { records } = useBattleHistory();
+  const canonicalUrl = `${siteUrl}/rankings`;
+  // Every season duel counts once for each side.
+  const duels = Object.values(season).reduce((sum, entry) => sum + entry.battles, 0) / 2;
+  const description = `Elo ratings for ${Object.keys(season).length} LoreMaker characters, from ${duels} simulated duels fought on ${seasonDate} and the battles you record in the arena.`;
+
+  const seasonRanks = useMemo(() => rankRatings(season), [season]);
+  const ranked = useMemo(() => {
+    if (source !== "arena") return seasonRanks;
+    const seasonById = new Map(seasonRanks.map((entry) => [entry.id, entry]));
+    return rankRatings(computeRatings([...records].reverse(), { initial: season })).map((entry) => ({
+      ...entry,
+      change: entry.rating - (seasonById.get(entry.id)?.rating ?? RATING_BASE),
+    }));
+  }, [records, season, seasonRanks, source]);
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "ItemList",
+        name: "LoreMaker Universe Arena Rankings",
+        description,
+        url: canonicalUrl,
+        itemListOrder: "https://schema.org/ItemListOrderDescending",
+        numberOfItems: seasonRanks.length,
+        itemListElement: seasonRanks.slice(0, 50).map((entry) => ({
+          "@type": "ListItem",
+          position: entry.rank,
+          name: entry.name,
+          url: `${siteUrl}/characters/${entry.id}`,
+        })),
+      }),
+    [canonicalUrl, description, seasonRanks, siteUrl]
+  );
+
+  const metaTitle = "Arena Rankings | LoreMaker Universe";
+  const leader = ranked[0];
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Arena</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">Arena Rankings</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+              <Link
+                href="/#arena-anchor"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Enter the arena
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="grid gap-3 sm:grid-cols-3">
+            <StatTile label="Rated" value={ranked.length} />
+            <StatTile label="Season duels" value={duels} />
+            <StatTile label="Top rating" value={leader ? leader.rating : RATING_BASE} />
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <h2 className="text-2xl font-black text-white">Leaderboard</h2>
+              <div className="flex flex-wrap gap-2">
+                {RATING_SOURCES.map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setSource(option.value)}
+                    aria-pressed={source === option.value}
+                    className={
+                      source === option.value
+                        ? "rounded-full border border-white bg-white px-3 py-1 text-xs font-semibold text-black"
+                        : "rounded-full border border-white/30 bg-white/10 px-3 py-1 text-xs font-semibold text-white hover:bg-white/20"
+                    }
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <p className="mt-3 text-sm text-white/60">
+              Everyone starts at {RATING_BASE}. Each win moves up to {RATING_K} points from loser to winner, more for an
+              upset.
+              {source === "arena" &&
+                ` ${records.length} recorded ${records.length === 1 ? "battle is" : "battles are"} applied on top of the season.`}
+            </p>
+            <div className="mt-6 overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <thead className="text-xs uppercase tracking-[0.25em] text-white/60">
+                  <tr>
+                    <th className="py-2 pr-4">Rank</th>
+                    <th className="py-2 pr-4">Character</th>
+                    <th className="py-2 pr-4">Rating</th>
+                    <th className="py-2 pr-4">Peak</th>
+                    <th className="py-2">Record</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ranked.map((entry) => (
+                    <tr key={entry.id} className="border-t border-white/10 align-middle">
+                      <td className="py-3 pr-4 text-lg font-black text-white/60">#{entry.rank}</td>
+                      <td className="py-3 pr-4">
+                        <Link href={`/characters/${entry.id}`} className="font-extrabold text-white hover:underline">
+                          {entry.name}
+                        </Link>
+                        {roster[entry.id]?.faction.length > 0 && (
+                          <span className="block text-xs font-semibold text-white/60">{roster[entry.id].faction.join(" · ")}</span>
+                        )}
+                      </td>
+                      <td className="py-3 pr-4 font-black text-white">
+                        {entry.rating}
+                        {entry.change ? (
+                          <span className={entry.change > 0 ? "ml-2 text-xs text-emerald-300" : "ml-2 text-xs text-rose-300"}>
+                            {entry.change > 0 ? `+${entry.change}` : entry.change}
+                          </span>
+                        ) : null}
+                      </td>
+                      <td className="py-3 pr-4 text-white/70">{entry.peak}</td>
+                      <td className="py-3 text-white/70">
+                        {entry.wins}–{entry.losses}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default RankingsPage;
+
+export async function getStaticProps() {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const characters = await fetchCharactersFromSheets();
+
+  const seasonDate = todayKey();
+  const roster = Object.fromEntries(
+    characters.filter((char) => char?.id).map((char) => [char.id, { faction: normaliseArray(char.faction) }])
+  );
+
+  return {
+    props: {
+      season: seasonRatings(characters, { seed: seasonDate }),
+      roster,
+      seasonDate,
+      siteUrl,
+    },
+    revalidate: 600,
+  };
+}
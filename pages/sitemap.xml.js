@@ -1,5 +1,9 @@
 import fallbackCharacters from "../data/fallback-characters.json";
 import { fetchCharactersFromSheets } from "../lib/characters";
+import { collectStories } from "../lib/stories";
+import { collectFactions } from "../lib/factions";
+import { collectLocations } from "../lib/locations";
+import { collectPowers } from "../lib/powers";
 
 const DEFAULT_SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
 
@@ -33,6 +37,7 @@ function buildSitemap(characters, siteUrl) {
   const today = new Date().toISOString().slice(0, 10);
   const urls = [
     buildUrlNode({ loc: siteUrl, changefreq: "daily", priority: "1.0", lastmod: today }),
+    buildUrlNode({ loc: `${siteUrl}/rankings`, changefreq: "daily", priority: "0.6", lastmod: today }),
   ];
 
   characters.forEach((character) => {
@@ -49,6 +54,58 @@ function buildSitemap(characters, siteUrl) {
     );
   });
 
+  collectStories(characters).forEach((story) => {
+    urls.push(
+      buildUrlNode({
+        loc: `${siteUrl}/stories/${story.slug}`,
+        changefreq: "weekly",
+        priority: "0.7",
+        lastmod: today,
+      })
+    );
+  });
+
+  collectFactions(characters).forEach((faction) => {
+    urls.push(
+      buildUrlNode({
+        loc: `${siteUrl}/factions/${faction.slug}`,
+        changefreq: "weekly",
+        priority: "0.7",
+        lastmod: today,
+      })
+    );
+  });
+
+  const locations = collectLocations(characters);
+  if (locations.length) {
+    urls.push(buildUrlNode({ loc: `${siteUrl}/locations`, changefreq: "weekly", priority: "0.6", lastmod: today }));
+  }
+  locations.forEach((location) => {
+    urls.push(
+      buildUrlNode({
+        loc: `${siteUrl}/locations/${location.slug}`,
+        changefreq: "weekly",
+        priority: "0.6",
+        lastmod: today,
+      })
+    );
+  });
+
+  const powers = collectPowers(characters);
+  if (powers.length) {
+    urls.push(buildUrlNode({ loc: `${siteUrl}/powers`, changefreq: "weekly", priority: "0.6", lastmod: today }));
+  }
+  powers.forEach((power) => {
+    urls.push(
+      buildUrlNode({
+        loc: `${siteUrl}/powers/${power.slug}`,
+        changefreq: "weekly",
+        priority: "0.5",
+        lastmod: today,
+      })
+    );
+  });
+
   return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>`;
 }
 
@@ -0,0 +1,213 @@
+import React, { useMemo } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { fetchCharactersFromSheets } from "../../lib/characters";
+import { codexQueryString } from "../../lib/filters";
+import { collectStories, findStory } from "../../lib/stories";
+import { factionSlug } from "../../lib/factions";
+import TallyList from "../../components/TallyList";
+
+function CastCard({ member }) {
+  return (
+    <Link
+      href={`/characters/${member.id}`}
+      className="group flex gap-4 rounded-2xl border border-white/15 bg-black/40 p-4 transition hover:border-white/40 hover:bg-black/60"
+    >
+      {member.cover ? (
+        <img
+          src={member.cover}
+          alt={`${member.name} portrait`}
+          className="h-20 w-16 flex-none rounded-xl border border-white/15 object-cover"
+          referrerPolicy="no-referrer"
+          decoding="async"
+          loading="lazy"
+        />
+      ) : (
+        <div className="flex h-20 w-16 flex-none items-center justify-center rounded-xl border border-dashed border-white/20 bg-white/10 text-xs font-black text-white/60">
+          LM
+        </div>
+      )}
+      <div className="min-w-0 space-y-1">
+        <p className="text-lg font-extrabold text-white group-hover:underline">{member.name}</p>
+        {member.faction.length > 0 && <p className="text-xs font-semibold text-white/60">{member.faction.join(" · ")}</p>}
+        {member.shortDesc && <p className="line-clamp-2 text-sm text-white/75">{member.shortDesc}</p>}
+        {member.debut && (
+          <span className="inline-flex rounded-full bg-amber-400/20 px-2 py-0.5 text-[11px] font-bold text-amber-100">
+            Debut
+          </span>
+        )}
+      </div>
+    </Link>
+  );
+}
+
+function StoryPage({ story, siteUrl }) {
+  const canonicalUrl = `${siteUrl}/stories/${story.slug}`;
+  const image = story.cast.find((member) => member.cover)?.cover || null;
+  const factionNames = story.factions.map((item) => item.name);
+  const description = `${story.name} brings together ${story.cast.length} LoreMaker ${
+    story.cast.length === 1 ? "character" : "characters"
+  }${factionNames.length ? ` from ${factionNames.slice(0, 3).join(", ")}` : ""}${
+    story.locations.length ? ` across ${story.locations.slice(0, 3).map((item) => item.name).join(", ")}` : ""
+  }.`;
+
+  const schemaJson = useMemo(
+    () =>
+      JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "CreativeWork",
+        name: story.name,
+        description,
+        url: canonicalUrl,
+        mainEntityOfPage: canonicalUrl,
+        ...(image ? { image } : {}),
+        genre: ["Superhero", "Fantasy", "Speculative fiction"],
+        creator: {
+          "@type": "Person",
+          name: "Menelek Makonnen",
+          url: "https://menelekmakonnen.com",
+        },
+        isPartOf: { "@type": "CreativeWorkSeries", name: "LoreMaker Universe", url: siteUrl },
+        character: story.cast.map((member) => ({
+          "@type": "FictionalCharacter",
+          name: member.name,
+          url: `${siteUrl}/characters/${member.id}`,
+        })),
+        contentLocation: story.locations.map((item) => ({ "@type": "Place", name: item.name })),
+        ...(story.eras.length ? { temporalCoverage: story.eras.map((item) => item.name).join(", ") } : {}),
+      }),
+    [canonicalUrl, description, image, siteUrl, story]
+  );
+
+  const metaTitle = `${story.name} | LoreMaker Universe Stories`;
+
+  return (
+    <>
+      <Head>
+        <title>{metaTitle}</title>
+        <meta name="description" content={description} />
+        <link rel="canonical" href={canonicalUrl} />
+        <meta property="og:type" content="article" />
+        <meta property="og:title" content={metaTitle} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={canonicalUrl} />
+        {image && <meta property="og:image" content={image} />}
+        <meta property="og:site_name" content="LoreMaker Universe" />
+        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:title" content={metaTitle} />
+        <meta name="twitter:description" content={description} />
+        {image && <meta name="twitter:image" content={image} />}
+        <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: schemaJson }} />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="relative overflow-hidden border-b border-white/10 bg-black/40">
+          <div className="absolute inset-0 bg-gradient-to-br from-indigo-900/40 via-amber-500/10 to-transparent" />
+          <div className="relative mx-auto flex max-w-6xl flex-col gap-5 px-4 pb-16 pt-20">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">LoreMaker Story</p>
+            <h1 className="text-4xl font-black leading-tight text-balance sm:text-5xl lg:text-6xl">{story.name}</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/80 sm:text-lg">{description}</p>
+            <div className="flex flex-wrap gap-3 text-xs font-semibold text-white/70 sm:text-sm">
+              <span className="rounded-full border border-white/20 px-4 py-1">Cast: {story.cast.length}</span>
+              {story.eras.map((era) => (
+                <span key={era.name} className="rounded-full border border-white/20 px-4 py-1">
+                  Era: {era.name}
+                </span>
+              ))}
+            </div>
+            <div className="flex flex-wrap gap-3 pt-4">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+              <Link
+                href={`/?${codexQueryString({ filters: { stories: [story.name] } })}`}
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Filter the codex
+              </Link>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-12 grid max-w-6xl gap-10 px-4">
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Cast</h2>
+            <div className="mt-6 grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {story.cast.map((member) => (
+                <CastCard key={member.id} member={member} />
+              ))}
+            </div>
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">First Appearances</h2>
+            {story.debuts.length ? (
+              <ul className="mt-4 flex flex-wrap gap-2 text-sm font-semibold">
+                {story.debuts.map((member) => (
+                  <li key={member.id}>
+                    <Link
+                      href={`/characters/${member.id}`}
+                      className="inline-flex rounded-full border border-white/20 px-4 py-1 text-white/80 transition hover:bg-white/10"
+                    >
+                      {member.name}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="mt-4 text-base text-white/70">
+                Every character in {story.name} was introduced in an earlier chronicle.
+              </p>
+            )}
+          </section>
+
+          <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+            <h2 className="text-2xl font-black text-white">Factions &amp; Territories</h2>
+            <div className="mt-6 grid gap-6 md:grid-cols-3">
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Factions involved</h3>
+                <TallyList
+                  items={story.factions}
+                  empty="No factions are on record for this story."
+                  hrefFor={(name) => `/factions/${factionSlug(name)}`}
+                />
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Locations</h3>
+                <TallyList items={story.locations} empty="The setting has not been charted yet." />
+              </div>
+              <div>
+                <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Eras</h3>
+                <TallyList items={story.eras} empty="No era recorded." />
+              </div>
+            </div>
+          </section>
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default StoryPage;
+
+export async function getStaticPaths() {
+  const characters = await fetchCharactersFromSheets();
+  const paths = collectStories(characters).map((story) => ({ params: { slug: story.slug } }));
+  return { paths, fallback: "blocking" };
+}
+
+export async function getStaticProps({ params }) {
+  const siteUrl = (process.env.NEXT_PUBLIC_SITE_URL || "https://loremaker.app").replace(/\/$/, "");
+  const story = findStory(await fetchCharactersFromSheets(), params?.slug);
+
+  if (!story) {
+    return { notFound: true, revalidate: 300 };
+  }
+
+  return {
+    props: { story, siteUrl },
+    revalidate: 600,
+  };
+}
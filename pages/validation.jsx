@@ -0,0 +1,223 @@
+import React, { useMemo, useState } from "react";
+import Head from "next/head";
+import Link from "next/link";
+import { validateBattleRules } from "../lib/battle-rules";
+import { publicCharactersError, validateCharacterSource } from "../lib/characters";
+import battleRules from "../data/battle-rules.json";
+
+const SEVERITY_STYLES = {
+  error: "border-rose-400/40 bg-rose-500/15 text-rose-100",
+  warning: "border-amber-300/40 bg-amber-400/10 text-amber-100",
+};
+
+const SEVERITY_FILTERS = [
+  { value: "all", label: "All issues" },
+  { value: "error", label: "Errors" },
+  { value: "warning", label: "Warnings" },
+];
+
+function SummaryTile({ label, value, tone = "text-white" }) {
+  return (
+    <div className="rounded-2xl border border-white/15 bg-black/40 p-4">
+      <p className="text-xs uppercase tracking-[0.35em] text-white/60">{label}</p>
+      <p className={`mt-2 text-3xl font-black ${tone}`}>{value}</p>
+    </div>
+  );
+}
+
+function BattleRulesSection({ rules }) {
+  return (
+    <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-2xl font-black text-white">Battle rules</h2>
+        <span className="rounded-full border border-white/20 px-3 py-1 text-xs font-semibold text-white/80">
+          data/battle-rules.json · v{rules.version || "?"}
+        </span>
+      </div>
+      {rules.issues.length ? (
+        <ul className="mt-6 space-y-2 text-sm">
+          {rules.issues.map((issue, index) => (
+            <li key={`${issue.field}-${issue.code}-${index}`} className="flex flex-wrap items-baseline gap-2">
+              <span
+                className={`inline-flex rounded-full border px-2 py-0.5 text-[11px] font-semibold ${SEVERITY_STYLES[issue.severity]}`}
+              >
+                {issue.severity}
+              </span>
+              <span className="font-bold text-white">{issue.field}</span>
+              <span className="text-white/80">{issue.message}</span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-4 text-base text-white/70">
+          Origin multipliers, luck band, synergy and matchups all pass validation.
+        </p>
+      )}
+    </section>
+  );
+}
+
+function ValidationReportPage({ report, error, rules }) {
+  const [severity, setSeverity] = useState("all");
+  const issues = useMemo(() => {
+    const all = report?.issues || [];
+    return severity === "all" ? all : all.filter((issue) => issue.severity === severity);
+  }, [report, severity]);
+
+  return (
+    <>
+      <Head>
+        <title>Source Validation | LoreMaker Universe</title>
+        <meta name="robots" content="noindex,nofollow" />
+      </Head>
+      <main className="min-h-screen bg-[#050813] pb-16 text-white">
+        <header className="border-b border-white/10 bg-black/40">
+          <div className="mx-auto flex max-w-6xl flex-col gap-4 px-4 pb-10 pt-16">
+            <p className="text-xs font-black uppercase tracking-[0.35em] text-white/70">Writers' Room</p>
+            <h1 className="text-4xl font-black leading-tight sm:text-5xl">Source validation report</h1>
+            <p className="max-w-2xl text-base font-semibold text-white/75">
+              Every row-level problem the codex found while reading the character source, plus a check of the
+              arena's balancing rules. Row numbers match the spreadsheet, with the header on row 1.
+            </p>
+            <div className="flex flex-wrap gap-3 pt-2">
+              <Link
+                href="/"
+                className="inline-flex items-center rounded-full bg-white px-5 py-2 text-sm font-bold text-black transition hover:bg-white/90"
+              >
+                ← Back to Codex
+              </Link>
+              <Link
+                href="/validation"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Re-run checks
+              </Link>
+              <a
+                href="/api/validation"
+                className="inline-flex items-center rounded-full border border-white/30 px-5 py-2 text-sm font-bold text-white transition hover:bg-white/10"
+              >
+                Download JSON
+              </a>
+            </div>
+          </div>
+        </header>
+
+        <div className="mx-auto mt-10 grid max-w-6xl gap-8 px-4">
+          {error && (
+            <div className="rounded-3xl border border-red-400/40 bg-red-500/10 px-6 py-4 text-sm font-semibold text-red-200">
+              {error}
+            </div>
+          )}
+
+          <BattleRulesSection rules={rules} />
+
+          {report && (
+            <>
+              <section className="grid gap-3 sm:grid-cols-2 lg:grid-cols-4">
+                <SummaryTile label="Source" value={report.source} tone="text-white text-xl" />
+                <SummaryTile label="Rows read" value={`${report.characterCount}/${report.rowCount}`} />
+                <SummaryTile label="Errors" value={report.summary.errors} tone="text-rose-300" />
+                <SummaryTile label="Warnings" value={report.summary.warnings} tone="text-amber-200" />
+              </section>
+
+              <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+                <h2 className="text-2xl font-black text-white">Columns</h2>
+                <div className="mt-6 grid gap-6 md:grid-cols-2">
+                  <div>
+                    <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Recognised</h3>
+                    <ul className="mt-3 space-y-2 text-sm text-white/80">
+                      {report.headers.recognised.map(({ header, field }) => (
+                        <li key={`${header}-${field}`}>
+                          <span className="font-bold text-white">{header}</span> → {field}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-bold uppercase tracking-[0.3em] text-white/60">Ignored</h3>
+                    <ul className="mt-3 space-y-2 text-sm text-white/80">
+                      {report.headers.unrecognised.length ? (
+                        report.headers.unrecognised.map((header) => <li key={header}>{header}</li>)
+                      ) : (
+                        <li>Every column maps to a codex field.</li>
+                      )}
+                    </ul>
+                  </div>
+                </div>
+              </section>
+
+              <section className="rounded-3xl border border-white/10 bg-white/5 p-8">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <h2 className="text-2xl font-black text-white">Issues</h2>
+                  <div className="flex flex-wrap gap-2">
+                    {SEVERITY_FILTERS.map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() => setSeverity(option.value)}
+                        aria-pressed={severity === option.value}
+                        className={
+                          severity === option.value
+                            ? "rounded-full border border-white bg-white px-3 py-1 text-xs font-semibold text-black"
+                            : "rounded-full border border-white/30 bg-white/10 px-3 py-1 text-xs font-semibold text-white hover:bg-white/20"
+                        }
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                {issues.length ? (
+                  <div className="mt-6 overflow-x-auto">
+                    <table className="w-full text-left text-sm">
+                      <thead className="text-xs uppercase tracking-[0.25em] text-white/60">
+                        <tr>
+                          <th className="py-2 pr-4">Row</th>
+                          <th className="py-2 pr-4">Character</th>
+                          <th className="py-2 pr-4">Field</th>
+                          <th className="py-2">Problem</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {issues.map((issue, index) => (
+                          <tr key={`${issue.row}-${issue.code}-${index}`} className="border-t border-white/10 align-top">
+                            <td className="py-3 pr-4 font-bold text-white">{issue.row}</td>
+                            <td className="py-3 pr-4 text-white/80">{issue.name || "—"}</td>
+                            <td className="py-3 pr-4 text-white/70">{issue.field}</td>
+                            <td className="py-3">
+                              <span
+                                className={`mr-2 inline-flex rounded-full border px-2 py-0.5 text-[11px] font-semibold ${SEVERITY_STYLES[issue.severity]}`}
+                              >
+                                {issue.severity}
+                              </span>
+                              <span className="text-white/80">{issue.message}</span>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="mt-4 text-base text-white/70">No issues to show. The source is in good shape.</p>
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </main>
+    </>
+  );
+}
+
+export default ValidationReportPage;
+
+export async function getServerSideProps() {
+  const rules = validateBattleRules(battleRules);
+  try {
+    const report = await validateCharacterSource();
+    return { props: { report, error: null, rules } };
+  } catch (error) {
+    console.error("[validation] Failed to validate character source", error);
+    return { props: { report: null, error: publicCharactersError(error), rules } };
+  }
+}